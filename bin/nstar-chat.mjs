@@ -148,7 +148,8 @@ class FluidChat {
         break;
       case "job_complete":
         if (data.result?.decision) {
-          this.displayStreamUpdate(`✅ ${data.result.decision} (γ=${data.result.gamma})`);
+          const why = data.result.breakdown?.reasons ?? [];
+          this.displayStreamUpdate(`✅ ${data.result.decision} (γ=${data.result.gamma})${why.length ? ` — ${why.join("; ")}` : ""}`);
         }
         break;
       case "trace":
@@ -160,6 +161,21 @@ class FluidChat {
     }
   }
 
+  // Why the gate decided as it did: each signal's raw → normalized value, its weight and contribution to γ,
+  // then the cost gate and the reasons (low γ, vetoes, cost, overrides) that held the run back
+  displayBreakdown(result) {
+    const b = result?.breakdown;
+    if (!b) return;
+    const fmt = (v) => v === null || v === undefined ? "-" : typeof v === "number" ? String(+v.toFixed(3)) : String(v);
+    console.log(`   ${"signal".padEnd(16)} ${"raw".padStart(7)} ${"norm".padStart(6)} ${"weight".padStart(6)} ${"contrib".padStart(7)}`);
+    for (const s of b.signals) {
+      console.log(`   ${s.signal.padEnd(16)} ${fmt(s.raw).padStart(7)} ${fmt(s.normalized).padStart(6)} ${fmt(s.weight).padStart(6)} ${fmt(s.contribution).padStart(7)}`);
+    }
+    console.log(`   γ ${result.gamma} ${result.gamma >= result.threshold ? "≥" : "<"} ${result.threshold}`);
+    if (b.cost) console.log(`   💷 Cost £${b.cost.run_spent} ${b.cost.run_ok ? "≤" : ">"} £${b.cost.cap}`);
+    for (const reason of b.reasons) console.log(`   ↳ ${reason}`);
+  }
+
   displayStreamUpdate(message) {
     // Clear current line and show update
     process.stdout.write(`\r\x1b[K${message}\n`);
@@ -210,11 +226,11 @@ class FluidChat {
     // Analyze context
     const hasContext = this.contextRefs.length > 0;
     const mentionsFiles = /\.(js|ts|py|md|json|html|css)\b/i.test(input);
-    const hasDetails = input.includes("with") || input.includes("using") || input.includes("for");
+    const hasQualifiers = input.includes("with") || input.includes("using") || input.includes("for");
     
-    if (hasContext && (mentionsFiles || hasDetails)) {
+    if (hasContext && (mentionsFiles || hasQualifiers)) {
       analysis.context = "excellent";
-    } else if (hasContext || mentionsFiles || hasDetails) {
+    } else if (hasContext || mentionsFiles || hasQualifiers) {
       analysis.context = "good";
     } else if (input.length > 15) {
       analysis.context = "fair";
@@ -345,8 +361,10 @@ class FluidChat {
 
       if (result.result) {
         console.log(`✅ Result: ${result.result.decision} (γ=${result.result.gamma})`);
-        if (result.result.ctxRefs?.length > 0) {
-          console.log(`📎 Context used: ${result.result.ctxRefs.join(", ")}`);
+        this.displayBreakdown(result.result);
+        const used = result.result.ctxLoaded ?? result.result.ctxRefs;
+        if (used?.length > 0) {
+          console.log(`📎 Context used: ${used.join(", ")}`);
         }
       }
     } catch (error) {
@@ -380,8 +398,10 @@ class FluidChat {
       try {
         const result = JSON.parse(output.trim());
         console.log(`✅ Result: ${result.decision} (γ=${result.gamma})`);
-        if (result.ctxRefs?.length > 0) {
-          console.log(`📎 Context used: ${result.ctxRefs.join(", ")}`);
+        this.displayBreakdown(result);
+        const used = result.ctxLoaded ?? result.ctxRefs;
+        if (used?.length > 0) {
+          console.log(`📎 Context used: ${used.join(", ")}`);
         }
       } catch {
         console.log(`📋 Raw output: ${output.trim()}`);
@@ -6,7 +6,13 @@ import path from "path";
 import crypto from "crypto";
 import { fileURLToPath } from "url";
 import { spawn } from "child_process";
-import { appendTrace } from "../lib/ledger.mjs";
+import { appendTrace, tracePath, tailTrace, latestTrace } from "../lib/ledger.mjs";
+import { queryTrace } from "../lib/query.mjs";
+import { listRuns, getRun } from "../lib/runs.mjs";
+import { spendStatus } from "../lib/spend.mjs";
+import { otelConfig, createSpanSink, createLiveExporter } from "../lib/otel.mjs";
+import { createRegistry, createTraceCollector, DURATION_BUCKETS } from "../lib/metrics.mjs";
+import { watchPolicy, policyVersion } from "../lib/policy.mjs";
 
 const ROOT = process.cwd();
 const PORT = process.env.PORT || 8080;
@@ -18,31 +24,81 @@ class NstarServer {
     this.clients = new Set();
     this.runningJobs = new Map();
     this.traceWatcher = null;
+    this.spanExporter = null;
+    this.setupMetrics();
+    // Server lifecycle rows share one run_id per process
+    this.run_id = `${Date.now().toString(36)}:server`;
     this.setupTraceWatcher();
+    this.setupPolicyWatcher();
+  }
+
+  // Policy edits take effect without a restart; clients hear which version is active (or that an edit was rejected)
+  setupPolicyWatcher() {
+    this.policyWatcher = watchPolicy({
+      run_id: this.run_id,
+      onReload: (res) => this.broadcast({ type: "policy", data: { ...res, timestamp: new Date().toISOString() } })
+    });
   }
 
   setupTraceWatcher() {
-    const tracePath = r("ops/TRACE.jsonl");
-    if (!exists(tracePath)) {
-      fs.mkdirSync(path.dirname(tracePath), { recursive: true });
-      fs.writeFileSync(tracePath, "");
+    const file = tracePath();
+    if (!exists(file)) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, "");
     }
 
-    // Watch TRACE file for new entries
-    this.traceWatcher = fs.watch(tracePath, (eventType) => {
-      if (eventType === 'change') {
+    this.setupSpanExporter();
+
+    // Watch the TRACE directory: rotation renames the active file, which would orphan a watch on the file itself
+    this.traceWatcher = fs.watch(path.dirname(file), (eventType, name) => {
+      if (eventType === 'change' && name === path.basename(file)) {
         this.broadcastLatestTrace();
+        this.exportNewSpans();
       }
     });
   }
 
+  // Live state is recorded as it happens; ledger metrics are folded in from TRACE at scrape time
+  setupMetrics() {
+    this.metrics = createRegistry();
+    this.traceMetrics = createTraceCollector(this.metrics);
+    this.httpRequests = this.metrics.counter("nstar_http_requests_total", "HTTP requests by route, method and status");
+    this.jobDuration = this.metrics.histogram("nstar_job_duration_seconds", "Kernel job wall time by outcome", DURATION_BUCKETS);
+    this.sseClients = this.metrics.gauge("nstar_sse_clients", "Connected SSE clients");
+    this.runningJobsGauge = this.metrics.gauge("nstar_running_jobs", "Kernel jobs in progress");
+  }
+
+  // Fixed route names keep label cardinality bounded
+  routeOf(pathname) {
+    if (pathname.startsWith("/runs/")) return "/runs/:id";
+    return ["/stream", "/chat", "/direct", "/paste", "/trace", "/runs", "/status", "/metrics"].includes(pathname) ? pathname : "other";
+  }
+
+  // Live OTLP export (otel.live / NSTAR_OTLP_LIVE=1): spans for rows appended after the server started
+  setupSpanExporter() {
+    const cfg = otelConfig();
+    if (!cfg.live) return;
+    try {
+      this.spanExporter = createLiveExporter(createSpanSink(cfg));
+      this.spanExporter.start(latestTrace()?.seq);
+      this.spanExport = Promise.resolve();
+    } catch (e) {
+      console.error("OTLP export disabled:", e.message);
+    }
+  }
+
+  exportNewSpans() {
+    if (!this.spanExporter) return;
+    // Chained so batches go out in order; a burst of appends can arrive as one change event
+    this.spanExport = this.spanExport
+      .then(() => this.spanExporter.push(tailTrace(200)))
+      .catch(e => console.error("OTLP export failed:", e.message));
+  }
+
   broadcastLatestTrace() {
     try {
-      const tracePath = r("ops/TRACE.jsonl");
-      const content = fs.readFileSync(tracePath, "utf8");
-      const lines = content.trim().split("\n").filter(Boolean);
-      if (lines.length > 0) {
-        const latest = JSON.parse(lines[lines.length - 1]);
+      const latest = latestTrace();
+      if (latest) {
         this.broadcast({ type: "trace", data: latest });
       }
     } catch (e) {
@@ -80,11 +136,13 @@ class NstarServer {
 
       // Spawn nstar process
       const child = spawn("node", [r("bin/nstar.mjs"), ...args], {
-        stdio: ["pipe", "pipe", "pipe"],
+        // No stdin: `run` reads piped stdin as pasted context, and an open pipe fails that read with EAGAIN
+        stdio: ["ignore", "pipe", "pipe"],
         cwd: ROOT
       });
 
       this.runningJobs.set(jobId, child);
+      const started = Date.now();
 
       let stdout = "";
       let stderr = "";
@@ -112,6 +170,7 @@ class NstarServer {
       return new Promise((resolve) => {
         child.on("close", (code) => {
           this.runningJobs.delete(jobId);
+          this.jobDuration.observe({ outcome: code === 0 ? "ok" : "error" }, (Date.now() - started) / 1000);
           
           let result = null;
           try {
@@ -124,6 +183,7 @@ class NstarServer {
             jobId,
             exitCode: code,
             result,
+            breakdown: result.breakdown ?? null,
             stdout,
             stderr,
             timestamp: new Date().toISOString()
@@ -294,37 +354,67 @@ class NstarServer {
     // TRACE endpoint
     if (url.pathname === "/trace") {
       try {
-        const limit = parseInt(url.searchParams.get("limit")) || 50;
-        const mode = url.searchParams.get("mode");
-        
-        const tracePath = r("ops/TRACE.jsonl");
-        if (!exists(tracePath)) {
+        const params = Object.fromEntries(url.searchParams);
+        const limit = parseInt(params.limit) || 50;
+
+        // Plain ?limit=N is a tail read; anything else goes through the query engine
+        if (Object.keys(params).every(k => k === "limit")) {
           res.writeHead(200, { "Content-Type": "application/json" });
-          res.end(JSON.stringify([]));
+          res.end(JSON.stringify(tailTrace(limit)));
           return;
         }
 
-        const content = fs.readFileSync(tracePath, "utf8");
-        let lines = content.trim().split("\n").filter(Boolean);
-        
-        // Filter by mode if specified
-        if (mode) {
-          lines = lines.filter(line => {
-            try {
-              const entry = JSON.parse(line);
-              return entry.mode === mode;
-            } catch {
-              return false;
-            }
-          });
+        let result;
+        try { result = queryTrace(params); }
+        catch (error) {
+          res.writeHead(400, { "Content-Type": "application/json" });
+          res.end(JSON.stringify({ error: error.message }));
+          return;
         }
 
-        // Take last N entries
-        const entries = lines.slice(-limit).map(line => JSON.parse(line));
-        
-        res.writeHead(200, { "Content-Type": "application/json" });
-        res.end(JSON.stringify(entries));
+        // Grouped queries return the groups; listings stay an array, with paging in headers
+        if (result.groups) {
+          res.writeHead(200, { "Content-Type": "application/json" });
+          res.end(JSON.stringify(result));
+          return;
+        }
+        res.writeHead(200, {
+          "Content-Type": "application/json",
+          "Access-Control-Expose-Headers": "X-Next-Cursor, X-Total-Count",
+          "X-Total-Count": String(result.matched),
+          ...(result.next_cursor ? { "X-Next-Cursor": result.next_cursor } : {})
+        });
+        res.end(JSON.stringify(result.rows));
+
+      } catch (error) {
+        res.writeHead(500, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ error: error.message }));
+      }
+      return;
+    }
+
+    // Run timelines: GET /runs?limit=&mode=&decision=&since=, GET /runs/:id
+    if (url.pathname === "/runs" || url.pathname.startsWith("/runs/")) {
+      try {
+        const id = decodeURIComponent(url.pathname.slice("/runs/".length));
+        const body = id ? getRun(id) : listRuns(Object.fromEntries(url.searchParams));
+        res.writeHead(body ? 200 : 404, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(body || { error: `no run ${id}` }));
+      } catch (error) {
+        res.writeHead(400, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ error: error.message }));
+      }
+      return;
+    }
 
+    // Prometheus metrics
+    if (url.pathname === "/metrics") {
+      try {
+        this.traceMetrics.update();
+        this.sseClients.set({}, this.clients.size);
+        this.runningJobsGauge.set({}, this.runningJobs.size);
+        res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" });
+        res.end(this.metrics.render());
       } catch (error) {
         res.writeHead(500, { "Content-Type": "application/json" });
         res.end(JSON.stringify({ error: error.message }));
@@ -340,6 +430,8 @@ class NstarServer {
         uptime: process.uptime(),
         clients: this.clients.size,
         runningJobs: this.runningJobs.size,
+        spend: spendStatus(),
+        policy: policyVersion(),
         timestamp: new Date().toISOString()
       };
 
@@ -355,6 +447,10 @@ class NstarServer {
 
   start() {
     const server = http.createServer((req, res) => {
+      // "close" also covers SSE streams, counted when the client disconnects
+      res.once("close", () => this.httpRequests.inc({
+        route: this.routeOf(new URL(req.url, "http://localhost").pathname), method: req.method, status: res.statusCode
+      }));
       this.handleRequest(req, res).catch(error => {
         console.error("Request error:", error);
         if (!res.headersSent) {
@@ -371,8 +467,11 @@ class NstarServer {
       console.log(`⚡ Direct API: POST http://localhost:${PORT}/direct`);
       console.log(`📋 Paste endpoint: POST http://localhost:${PORT}/paste`);
       console.log(`📊 TRACE endpoint: GET http://localhost:${PORT}/trace`);
+      console.log(`🧭 Run timelines: GET http://localhost:${PORT}/runs[/<run_id>]`);
+      console.log(`📈 Metrics: GET http://localhost:${PORT}/metrics`);
       
       appendTrace({ 
+        run_id: this.run_id,
         phase: "server", 
         step: "start", 
         ok: true, 
@@ -387,6 +486,7 @@ class NstarServer {
       if (this.traceWatcher) {
         this.traceWatcher.close();
       }
+      this.policyWatcher?.close();
 
       // Close all SSE connections
       for (const client of this.clients) {
@@ -400,6 +500,7 @@ class NstarServer {
       }
 
       appendTrace({ 
+        run_id: this.run_id,
         phase: "server", 
         step: "shutdown", 
         ok: true, 
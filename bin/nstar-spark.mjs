@@ -3,8 +3,8 @@
 import fs from "fs";
 import path from "path";
 import { execSync } from "child_process";
-import { appendTrace } from "../lib/ledger.mjs";
-import { gammaScore, gammaThreshold } from "../lib/policy.mjs";
+import { appendTrace, tracePath } from "../lib/ledger.mjs";
+import { gammaScore } from "../lib/policy.mjs";
 
 const ROOT = process.cwd();
 const r = (...p) => path.join(ROOT, ...p);
@@ -17,6 +17,7 @@ class NstarSpark {
     this.selfAwarenessLevel = 0;
     this.capabilities = new Set();
     this.goals = [];
+    this.run_id = `${Date.now().toString(36)}:spark`;
     this.initializeSpark();
   }
 
@@ -30,6 +31,7 @@ class NstarSpark {
     this.goals = this.defineEvolutionGoals();
     
     appendTrace({ 
+      run_id: this.run_id,
       phase: "spark", 
       step: "initialize", 
       ok: true, 
@@ -42,7 +44,7 @@ class NstarSpark {
     const codeFiles = this.scanCodebase();
     const hasDocumentation = fs.existsSync(r("README.md"));
     const hasTests = codeFiles.some(f => f.includes("test"));
-    const hasTracing = fs.existsSync(r("ops/TRACE.jsonl"));
+    const hasTracing = fs.existsSync(tracePath());
     const hasPolicies = fs.existsSync(r("policy"));
     const hasMultipleInterfaces = codeFiles.filter(f => f.includes("bin/")).length > 1;
 
@@ -457,16 +459,17 @@ function splitLargeFunction() {
         diff_tiny: improvement.code.length < 500 ? 1 : 0
       };
       
-      const gamma = gammaScore(evidence);
-      const threshold = gammaThreshold("safe"); // Use safe mode for self-modification
+      // Safe mode for self-modification, vetoes included: failing tests block it whatever γ adds up to
+      const { gamma, threshold, pass, reasons } = gammaScore(evidence, undefined, { mode: "safe" });
       
-      if (gamma >= threshold) {
+      if (pass) {
         console.log(`✅ Improvement approved (γ=${gamma} >= ${threshold})`);
         
         // Apply the improvement
         await this.commitImprovement(improvement, result);
         
         appendTrace({
+          run_id: this.run_id,
           phase: "spark",
           step: "improve",
           ok: true,
@@ -476,14 +479,15 @@ function splitLargeFunction() {
         
         return { success: true, gamma, applied: true };
       } else {
-        console.log(`❌ Improvement rejected (γ=${gamma} < ${threshold})`);
-        return { success: false, gamma, applied: false, reason: "Quality gate failed" };
+        console.log(`❌ Improvement rejected (γ=${gamma}, threshold ${threshold}): ${reasons.join("; ")}`);
+        return { success: false, gamma, applied: false, reason: "Quality gate failed", reasons };
       }
       
     } catch (error) {
       console.log(`❌ Improvement failed: ${error.message}`);
       
       appendTrace({
+        run_id: this.run_id,
         phase: "spark",
         step: "improve",
         ok: false,
@@ -4,10 +4,22 @@ import fs from "fs";
 import os from "os";
 import path from "path";
 import crypto from "crypto";
-import { execSync, spawnSync } from "child_process";
+import { execSync } from "child_process";
 import { fileURLToPath } from "url";
-import { gammaScore, gammaThreshold, costGate } from "../lib/policy.mjs";
-import { appendTrace } from "../lib/ledger.mjs";
+import { gammaScore, gammaThreshold, costGate, resolvePolicy, watchPolicy, policyVersion, DEFAULTS as POLICY_DEFAULTS } from "../lib/policy.mjs";
+import { appendTrace, tracePath, readTrace, migrateTrace, verifyTrace, lintTrace, rotateTrace, compactTrace, readIndex } from "../lib/ledger.mjs";
+import { createProvider, promptText } from "../lib/provider.mjs";
+import { patchFiles } from "../lib/patch.mjs";
+import { collectEvidence, defaultTestCommand } from "../lib/evidence.mjs";
+import { createSandbox } from "../lib/sandbox.mjs";
+import { resolveContext } from "../lib/context.mjs";
+import { recordSpend, spentToday, spendStatus } from "../lib/spend.mjs";
+import { estimateCost, actualCost } from "../lib/cost.mjs";
+import { queryTrace, parseTime } from "../lib/query.mjs";
+import { listRuns, getRun } from "../lib/runs.mjs";
+import { otelConfig, createSpanSink, exportSpans } from "../lib/otel.mjs";
+import { loadCandidate, simulatePolicy } from "../lib/simulate.mjs";
+import { addIntent, readIntents, findIntent, applyIntent, publishIntent, dropIntent } from "../lib/intents.mjs";
 
 const ROOT = process.cwd();
 const r = (...p) => path.join(ROOT, ...p);
@@ -32,28 +44,100 @@ function savePaste(text) {
   return { id, ref: `ctx://paste/${id}`, path: p };
 }
 
-function applyPatch(diffText) {
-  try {
-    const proc = spawnSync("git", ["apply", "--whitespace=fix", "-"], { input: diffText, encoding: "utf8" });
-    return { ok: proc.status === 0, stdout: proc.stdout, stderr: proc.stderr };
-  } catch (e) { return { ok: false, stderr: String(e) }; }
+function openPrIntent({ title, body, branch, diff, run_id }) {
+  // Queue intent; `nstar intents apply <id>` turns it into a local branch
+  const row = addIntent({ title, body, branch, diff, run_id });
+  appendTrace({ run_id, phase: "intent", step: "request_pr", ok: true, note: title, extra: { id: row.id, branch } });
+  return row;
 }
 
-function openPrIntent({ title, body, branch, diff }) {
-  // Append intent (async orchestrator can open later)
-  const row = { ts: now(), title, body, branch, diff };
-  const file = r("state/intents/pr.jsonl");
-  write(file, (exists(file) ? read(file) : "") + JSON.stringify(row) + "\n");
-  appendTrace({ phase: "intent", step: "request_pr", ok: true, note: title, extra: { branch } });
+function runsCommand(id, args) {
+  const ms = (n) => n === null ? "" : n < 1000 ? `${n}ms` : `${(n / 1000).toFixed(1)}s`;
+  const gate = (run) => run.gamma === null ? "γ –" : run.vetoes?.length ? `γ ${run.gamma} veto` : `γ ${run.gamma}${run.pass ? ">=" : "<"}${run.threshold}`;
+  if (!id) {
+    const runs = listRuns(args);
+    if (args.json) { console.log(JSON.stringify(runs, null, 2)); return; }
+    if (runs.length === 0) { console.log("no runs"); return; }
+    for (const run of runs) {
+      console.log(`${run.run_id}  ${run.started_at}  ${(run.decision || run.status).padEnd(7)} ${String(run.mode).padEnd(5)} ${gate(run).padEnd(12)} ${ms(run.duration_ms).padStart(6)}  ${run.goal}`);
+    }
+    return;
+  }
+  const run = getRun(id);
+  if (!run) { console.error(`no run ${id}`); process.exit(1); }
+  if (args.json) { console.log(JSON.stringify(run, null, 2)); return; }
+  console.log(`${run.run_id}  "${run.goal}"  mode=${run.mode}  ${run.decision || run.status} (${run.stop})  ${run.steps} step(s)  ${gate(run)}  ${ms(run.duration_ms)}`);
+  for (const p of run.phases) {
+    const tag = p.step_index === null ? "  " : `#${p.step_index}`;
+    console.log(`  +${ms(p.at_ms).padEnd(7)} ${tag} ${p.ok ? "✓" : "✗"} ${`${p.phase}/${p.step}`.padEnd(18)} ${ms(p.duration_ms).padStart(7)}  ${p.note ?? ""}`);
+  }
+  if (run.patch) console.log(`patch: ${run.patch.branch} @ ${String(run.patch.commit).slice(0, 12)}${run.patch.promoted?.ok ? ` → promoted (${run.patch.promoted.method})` : ""}`);
+  if (run.intent) console.log(`intent: ${run.intent.id} ${run.intent.status ?? ""} ${run.intent.branch}`);
+  if (run.later.length) console.log("after the run:");
+  for (const p of run.later) {
+    console.log(`  +${ms(p.after_ms).padEnd(7)}    ${p.ok ? "✓" : "✗"} ${`${p.phase}/${p.step}`.padEnd(18)} ${p.ts}  ${p.note ?? ""}`);
+  }
+}
+
+function policyCommand(sub, args) {
+  if (sub !== "simulate") { console.error(`unknown policy subcommand: ${sub} (simulate)`); process.exit(1); }
+  if (!args.policy) { console.error("usage: nstar policy simulate --policy=candidate.json [--since=30d] [--mode=] [--examples=5] [--json]"); process.exit(1); }
+  const report = simulatePolicy(loadCandidate(args.policy), { since: args.since, mode: args.mode, examples: args.examples ? Number(args.examples) : undefined });
+  if (args.json) { console.log(JSON.stringify({ policy: args.policy, ...report }, null, 2)); return; }
+  console.log(`${report.runs} runs replayed against ${args.policy} (${report.skipped} skipped: unfinished, refused, errored or without evidence)`);
+  console.log(`APPLY → INTENT: ${report.flips.apply_to_intent}   INTENT → APPLY: ${report.flips.intent_to_apply}`);
+  for (const [mode, m] of Object.entries(report.by_mode)) {
+    console.log(`  ${mode.padEnd(5)} ${String(m.runs).padStart(4)} runs  APPLY ${m.apply_before} → ${m.apply_after}  (−${m.apply_to_intent} +${m.intent_to_apply})`);
+  }
+  for (const [dir, runs] of Object.entries(report.examples)) {
+    if (runs.length) console.log(dir === "apply_to_intent" ? "now INTENT:" : "now APPLY:");
+    for (const run of runs) {
+      console.log(`  ${run.run_id}  ${run.mode.padEnd(5)} #${run.step_index}  γ ${run.gamma_before}/${run.threshold_before} → ${run.gamma_after}/${run.threshold_after}${run.vetoes_after.length ? ` vetoed: ${run.vetoes_after.join(", ")}` : ""}${run.intent_only ? " intent_only" : ""}${run.unobserved ? " (later attempts never ran)" : ""}  ${run.goal}`);
+    }
+  }
+}
+
+async function intentsCommand(sub = "list", id, args) {
+  if (sub === "list") {
+    const rows = readIntents().filter(row => !args.status || row.status === args.status);
+    if (rows.length === 0) { console.log("no intents"); return; }
+    for (const row of rows) console.log(`${row.id}  ${row.status.padEnd(8)} ${row.ts}  ${row.branch}  ${row.title}`);
+    return;
+  }
+  if (!id) { console.error(`usage: nstar intents ${sub} <id>`); process.exit(1); }
+  if (sub === "show") {
+    const { diff, ...row } = findIntent(id);
+    console.log(JSON.stringify(row, null, 2));
+    console.log(diff);
+    return;
+  }
+  if (sub === "apply") {
+    const row = applyIntent(id);
+    if (row.status !== "applied") { console.error(`apply failed: ${row.error}`); process.exit(1); }
+    console.log(`${row.id} → ${row.branch} @ ${row.commit.slice(0, 12)}`);
+    return;
+  }
+  if (sub === "publish") {
+    const opts = args.out ? { outDir: path.resolve(args.out) } : {};
+    const row = await publishIntent(id, { via: args.via || "github", ...opts });
+    console.log(`${row.id} published → ${row.published.url || row.published.path}`);
+    return;
+  }
+  if (sub === "drop") {
+    const row = dropIntent(id);
+    console.log(`${row.id} dropped`);
+    return;
+  }
+  console.error(`unknown intents subcommand: ${sub} (list|show|apply|publish|drop)`);
+  process.exit(1);
 }
 
 function ensureSeeds() {
-  if (!exists(r("policy/gamma.json"))) write(r("policy/gamma.json"),
-    JSON.stringify({ weights:{tests_pass:0.4,retrieval_cited:0.25,cost_ok:0.2,diff_tiny:0.15},
-                    thresholds:{safe:0.6,fast:0.5,cheap:0.4} }, null, 2));
-  if (!exists(r("policy/cost.json"))) write(r("policy/cost.json"),
-    JSON.stringify({ per_run_gbp: 3.0, per_day_gbp: 25.0 }, null, 2));
-  if (!exists(r("state/TRACE.jsonl"))) write(r("state/TRACE.jsonl"), "");
+  // Seed files are the built-in defaults, so a fresh checkout runs the same policy before and after seeding
+  for (const [name, cfg] of Object.entries(POLICY_DEFAULTS)) {
+    if (!exists(r(`policy/${name}.json`))) write(r(`policy/${name}.json`), JSON.stringify(cfg, null, 2));
+  }
+  if (!exists(tracePath())) write(tracePath(), "");
   if (!exists(r("state/intents/pr.jsonl"))) write(r("state/intents/pr.jsonl"), "");
 }
 
@@ -78,79 +162,177 @@ function gitPullFF() {
   } catch { return { behind: 0, ahead: 0 }; }
 }
 
-async function kernelRun({ goal, mode="fast", ctxRefs=[] }) {
+// Files a patch touches; one that doesn't parse touches none (it won't apply either)
+function touchedFiles(diff) {
+  try { return patchFiles(diff); }
+  catch { return []; }
+}
+
+// coverage_delta compares against the coverage of the last attempt that was promoted into the tree
+function lastPromotedCoverage() {
+  const rows = readTrace();
+  for (const p of rows.filter(r => r.phase === "patch" && r.step === "promote" && r.ok !== false).reverse()) {
+    const test = rows.find(r => r.run_id === p.run_id && r.step_index === p.step_index && r.phase === "test" && r.step === "run");
+    if (typeof test?.extra?.coverage === "number") return test.extra.coverage;
+  }
+  return null;
+}
+
+async function kernelRun({ goal, mode="fast", ctxRefs=[], ctxBudget, providerName, testCmd, chainMax=4 }) {
   ensureSeeds();
   const run_id = `${Date.now().toString(36)}:${os.userInfo().username}`;
-  appendTrace({ run_id, phase: "plan", step: "start", ok: true, note: goal });
+  appendTrace({ run_id, phase: "plan", step: "start", ok: true, note: goal, extra: { mode } });
+
+  // Resolve ctx:// file:// url:// refs into documents within the token budget
+  const ctx = await resolveContext(ctxRefs, { budget: ctxBudget });
+  appendTrace({ run_id, phase: "context", step: "resolve", ok: ctx.skipped.length === 0,
+                note: `${ctx.loaded.length}/${ctxRefs.length} refs, ${ctx.tokens} tokens`,
+                extra: { loaded: ctx.loaded, skipped: ctx.skipped, budget: ctx.budget } });
 
   // Build minimal input for your kernel LLM
   const plan = {
     goal,
     mode,
-    context: { refs: ctxRefs },
-    constraints: { chain_max: 4, budget_source: "/policy/cost.json" },
-    acceptance_checks: ["diff applies", "tests pass or trivial", "trace rows written"]
+    context: { refs: ctxRefs, loaded: ctx.loaded, tokens: ctx.tokens },
+    constraints: { chain_max: chainMax, budget_source: "/policy/cost.json" },
+    acceptance_checks: ["diff applies", "tests pass or trivial", "trace rows written"],
+    step_index: 0,
+    feedback: []
   };
+  const provider = createProvider(providerName);
+  const coverageBaseline = lastPromotedCoverage();
+  let runSpent = 0, last = null, decision = "INTENT", stop = "chain_max";
+  // Effective policy: base policy/*.json until a patch's touched files select path overrides
+  let policy = resolvePolicy([]);
+
+  // Chain: plan → patch → test → decide, feeding failing evidence into the next attempt
+  for (let step_index = 0; step_index < plan.constraints.chain_max; step_index++) {
+    plan.step_index = step_index;
+    const trace = (row) => appendTrace({ run_id, step_index, ...row });
+
+    // Price the exact prompt with policy/pricing.json; stop before a step that would break the run or daily cap
+    // (caps as resolved for the previous attempt's patch)
+    const prompt = promptText(plan, ctx.docs);
+    const estimate = estimateCost({ model: provider.model, prompt });
+    const cost = costGate(estimate.gbp, spentToday(), policy.cost, runSpent);
+    trace({ phase: "cost", step: "estimate", ok: cost.ok, note: `£${estimate.gbp}`, extra: estimate });
+    if (!cost.ok) {
+      stop = cost.day_ok ? "run_budget" : "daily_cap";
+      trace({ phase: "gate", step: "cost", ok: false,
+              note: cost.day_ok ? `per-run cap £${cost.cap} reached` : `daily cap £${cost.day_cap} reached`,
+              extra: { estimate_gbp: estimate.gbp, run_spent: runSpent, spent_today: cost.spent_today, cap: cost.cap, day_cap: cost.day_cap } });
+      break;
+    }
 
-  // Call your kernel LLM (system prompt already in your repo). Keep it simple: single response with JSON.
-  // You can replace this with your existing call; here we just stub a tiny diff if README.md exists.
-  let diff = "";
-  const readme = r("README.md");
-  if (exists(readme)) {
-    const badge = `\n\n<!-- updated by nstar -->\n`;
-    diff = `*** Begin Patch
-*** Update File: README.md
-@@
-${badge}*** End Patch
-`;
-  } else {
-    diff = `*** Begin Patch
-*** Add File: README.md
-+# Project
-+
-+Initialized by nstar loop.
-*** End Patch
-`;
-  }
-
-  // Evidence (stub logic); wire your tests here if needed.
-  const evidence = { tests_pass: 1, retrieval_cited: ctxRefs.length>0?1:0, cost_ok: 1, diff_tiny: 1 };
-  const gamma = gammaScore(evidence);
-  const threshold = gammaThreshold(mode);
-  const pass = gamma >= threshold;
-  const cost = costGate(0.02);
-
-  const verifyMd =
-`- [x] Diff applies
+    // Ask the kernel LLM for a patch (NSTAR_PROVIDER / --provider: openai | replay)
+    let diff = "", raw = "", usage = null, model = provider.model;
+    try {
+      ({ patch: diff, raw, usage, model } = await provider.generate({ plan, context: ctx.docs }));
+      trace({ phase: "patch", step: "generate", ok: true, note: provider.name, extra: { model } });
+    } catch (e) {
+      trace({ phase: "patch", step: "generate", ok: false, note: e.message, extra: { provider: provider.name } });
+      appendTrace({ run_id, phase: "done", step: "end", ok: false, note: "provider_error", extra: { decision: "ERROR", steps: step_index } });
+      throw e;
+    }
+
+    // Actual cost from reported usage; cost_ok reflects what the run has really cost so far
+    const actual = actualCost({ model, usage, prompt, completion: raw });
+    recordSpend({ run_id, step_index, ...actual, estimate_gbp: estimate.gbp });
+    runSpent += actual.gbp;
+
+    // Resolve path overrides from the files this patch touches
+    const files = touchedFiles(diff);
+    policy = resolvePolicy(files);
+    trace({ phase: "policy", step: "resolve", ok: true, note: policy.overrides.length ? policy.overrides.join(", ") : "base",
+            extra: { version: policyVersion().version, files, overrides: policy.overrides, threshold: gammaThreshold(mode, policy.gamma), thresholds: policy.gamma.thresholds,
+                     weights: policy.gamma.weights, diff_budget: policy.gamma.diff_budget, cost: policy.cost, intent_only: policy.intent_only } });
+    const spent = costGate(0, spentToday(), policy.cost, runSpent);
+
+    // Evidence: apply + commit in an isolated worktree, run the test command there, measure the diff
+    const sandbox = createSandbox({ run_id: `${run_id}-${step_index}` });
+    try {
+      const { evidence, applied, tests, diff: diffSize } = collectEvidence({
+        sandbox, patch: diff, message: `nstar: ${goal}\n\nNstar-Run: ${run_id}`,
+        testCmd: testCmd ?? defaultTestCommand(), ctxRefs: ctx.loaded, requestedRefs: ctxRefs, costOk: spent.run_ok,
+        diffBudget: policy.gamma.diff_budget, coverageBaseline,
+        // Written before the tests run, so the timeline charges them to test/run rather than patch/apply
+        onApplied: (applied) => trace({ phase: "patch", step: "apply", ok: applied.ok, note: applied.ok ? "applied" : "apply_failed",
+                                        extra: applied.ok ? { branch: sandbox.branch, commit: sandbox.commit } : { error: applied.error } })
+      });
+      const summary = tests.skipped ? "skipped" : tests.summary ? `${tests.summary.passed}/${tests.summary.total} passed` : `exit ${tests.exit_code}`;
+      if (applied.ok) {
+        trace({ phase: "test", step: "run", ok: tests.ok, note: summary,
+                extra: { cmd: tests.cmd, exit_code: tests.exit_code, ...tests.summary, duration_ms: tests.duration_ms,
+                         ...(typeof tests.coverage === "number" ? { coverage: tests.coverage } : {}) } });
+      }
+      // The gate with its working: per-signal contributions, vetoes (which fail an attempt whatever its γ), cost
+      const breakdown = gammaScore(evidence, policy.gamma, { mode, files, cost: { ...spent, run_spent: +runSpent.toFixed(6) } });
+      const { gamma, threshold, vetoes, pass } = breakdown;
+      if (vetoes.length) {
+        trace({ phase: "gate", step: "veto", ok: false, note: vetoes.map(v => v.rule).join(", "), extra: { mode, vetoes, files } });
+      }
+
+      const box = (b) => b ? "x" : " ";
+      const verifyMd =
+`- [${box(applied.ok)}] Diff applies (${diffSize.files} files, ${diffSize.lines} lines)
+- [${box(evidence.tests_pass === 1)}] Tests pass (${summary})
 - [x] TRACE row written
-- [x] Cost ≤ £${cost.cap}
-- [${ctxRefs.length>0?'x':' '}] Retrieval cited`;
-
-  // Decide
-  if (pass && cost.ok) {
-    const applied = applyPatch(toUnified(diff));
-    appendTrace({ run_id, phase: "patch", step: "apply", ok: applied.ok, note: applied.ok ? "applied" : "apply_failed" });
-    appendTrace({ run_id, phase: "gate", step: "gamma", ok: pass, note: `${gamma}>=${threshold}` });
-    write(r("ops/LAST_PLAN.json"), JSON.stringify(plan, null, 2));
-    write(r("ops/LAST_VERIFY.md"), verifyMd);
-    console.log(JSON.stringify({ decision:"APPLY", gamma, threshold, pass, ctxRefs }, null, 2));
-  } else {
-    const title = `chore: apply tiny README update (γ=${gamma.toFixed(2)})`;
-    openPrIntent({ title, body: "Auto PR intent from nstar loop.", branch: `pipe/${Date.now()}`, diff });
-    appendTrace({ run_id, phase: "gate", step: "gamma", ok: false, note: `${gamma}<${threshold}` });
-    console.log(JSON.stringify({ decision:"INTENT", gamma, threshold, pass, ctxRefs }, null, 2));
-  }
-
-  appendTrace({ run_id, phase: "done", step: "end", ok: true });
-}
+- [${box(spent.run_ok)}] Cost £${+runSpent.toFixed(6)} ≤ £${spent.cap}
+- [${box(evidence.retrieval_cited > 0)}] Retrieval cited (${ctx.loaded.length}/${ctxRefs.length} refs)`;
+      const measured = { gamma, threshold, evidence, diff: diffSize, files, vetoes, policy: policy.overrides, tests: { exit_code: tests.exit_code, ...tests.summary },
+                         signals: breakdown.signals, cost_gate: breakdown.cost, reasons: breakdown.reasons };
+      last = { step_index, diff, gamma, threshold, pass, evidence, vetoes, breakdown };
+      const note = `${gamma}${gamma >= threshold ? ">=" : "<"}${threshold}${vetoes.length ? ` vetoed: ${vetoes.map(v => v.rule).join(", ")}` : ""}`;
+      trace({ phase: "gate", step: "gamma", ok: pass, note, extra: measured });
+
+      // Decide: only a passing gate touches the main tree, and not when an override asks for review
+      if (pass && spent.run_ok && policy.intent_only) {
+        breakdown.reasons.push(`intent_only override: ${policy.overrides.join(", ")}`);
+        stop = "intent_only";
+        break;
+      }
+      if (pass && spent.run_ok) {
+        const promoted = sandbox.promote();
+        trace({ phase: "patch", step: "promote", ok: promoted.ok, note: promoted.ok ? promoted.method : "promote_failed",
+                extra: promoted.ok ? { commit: promoted.commit } : { error: promoted.error } });
+        if (promoted.ok) {
+          decision = "APPLY";
+          write(r("ops/LAST_PLAN.json"), JSON.stringify(plan, null, 2));
+          write(r("ops/LAST_VERIFY.md"), verifyMd);
+        }
+        if (!promoted.ok) breakdown.reasons.push(`promote failed: ${promoted.error}`);
+        // A conflict with the main tree won't go away by retrying
+        stop = promoted.ok ? "passed" : "promote_failed";
+        break;
+      }
+      plan.feedback.push({
+        step_index, gamma, threshold,
+        ...(applied.ok ? {} : { apply_error: applied.error }),
+        tests: summary,
+        ...(vetoes.length ? { vetoes } : {}),
+        ...(applied.ok && !tests.ok ? { test_output: tests.output.slice(-2000) } : {})
+      });
+    } finally {
+      sandbox.dispose();
+    }
+  }
 
-function toUnified(patchBlock) {
-  // Accept our Begin/End Patch format or pure unified diff. Convert if necessary.
-  if (patchBlock.includes("*** Begin Patch")) {
-    // Naive converter: pass through the inner diff hunks as-is; git apply supports both if triple-star format preserved.
-    return patchBlock.replace(/\r/g, "");
+  if (!last) {
+    decision = "REFUSED";
+  } else if (decision === "INTENT") {
+    const title = `chore: ${goal} (γ=${last.gamma.toFixed(2)})`;
+    openPrIntent({ title, body: "Auto PR intent from nstar loop.", branch: `pipe/${Date.now()}`, diff: last.diff, run_id });
   }
-  return patchBlock;
+  const steps = last ? last.step_index + 1 : 0;
+  const { gamma, threshold, pass, evidence, vetoes = [], breakdown } = last || {};
+  // Why the run ended as it did: the deciding attempt's signals, vetoes, cost gate and reasons
+  const why = breakdown && { signals: breakdown.signals, vetoes, cost: breakdown.cost, reasons: breakdown.reasons };
+  console.log(JSON.stringify({ decision, gamma, threshold, pass, vetoes, breakdown: why, evidence, steps, stop,
+                               ...(last ? {} : { spend: spendStatus() }), ctxRefs, ctxLoaded: ctx.loaded }, null, 2));
+
+  appendTrace({ run_id, phase: "done", step: "end", ok: decision !== "REFUSED", note: stop,
+                extra: { decision, steps, spent_gbp: +runSpent.toFixed(6), ...(vetoes.length ? { vetoes: vetoes.map(v => v.rule) } : {}),
+                         ...(why?.reasons.length ? { reasons: why.reasons } : {}) } });
 }
 
 async function main() {
@@ -167,17 +349,99 @@ async function main() {
   }
 
   if (cmd === "run") {
-    // Usage: nstar run --goal="..." [--mode=safe|fast|cheap] [--ctx=ctx://...,file://...,url://...]
+    // Usage: nstar run --goal="..." [--mode=safe|fast|cheap] [--ctx=ctx://...,file://...,url://...] [--ctx-budget=8000] [--provider=openai|replay] [--test="npm test"] [--chain-max=4]
     const goal = args.goal || (args._?.join(" ") || "Tiny maintenance update");
     const mode = args.mode || "fast";
     const ctx = (args.ctx || "").split(",").filter(Boolean);
     // If stdin has content and no ctx passed, ingest it
     if (!args.ctx && !process.stdin.isTTY) {
       const text = fs.readFileSync(0, "utf8");
-      const { ref } = savePaste(text);
-      ctx.push(ref);
+      if (text.trim()) ctx.push(savePaste(text).ref);
+    }
+    await kernelRun({ goal, mode, ctxRefs: ctx, ctxBudget: args["ctx-budget"] ? Number(args["ctx-budget"]) : undefined, providerName: args.provider, chainMax: args["chain-max"] ? Number(args["chain-max"]) : undefined, testCmd: typeof args.test === "string" ? args.test : undefined });
+    return;
+  }
+
+  if (cmd === "intents") {
+    // Usage: nstar intents [list [--status=open|applied|failed|dropped] | show <id> | apply <id> | publish <id> [--via=github|patch-email] [--out=dir] | drop <id>]
+    const [sub, id] = args._ || [];
+    try { await intentsCommand(sub, id, args); }
+    catch (e) { console.error(e.message); process.exit(1); }
+    return;
+  }
+
+  if (cmd === "policy") {
+    // Usage: nstar policy simulate --policy=candidate.json [--since=30d] [--mode=] [--examples=5] [--json]
+    try { policyCommand((args._ || [])[0], args); }
+    catch (e) { console.error(e.message); process.exit(1); }
+    return;
+  }
+
+  if (cmd === "trace") {
+    // Usage: nstar trace [path | migrate | verify | lint | rotate | compact | segments | query [--run_id= --phase= --step= --ok= --since= --until= --mode= --note= --group-by= --limit= --cursor= --from=latest|earliest] | export [--run_id= --since= --until= --file= --endpoint=]]
+    const [sub = "path"] = args._ || [];
+    if (sub === "path") { console.log(tracePath()); return; }
+    if (sub === "migrate") {
+      const res = migrateTrace();
+      console.log(res.sources.length ? `merged ${res.sources.join(", ")} → ${res.path} (${res.rows} rows)` : `nothing to migrate; ledger is ${res.path}`);
+      return;
+    }
+    if (sub === "verify") {
+      const res = verifyTrace();
+      console.log(JSON.stringify(res, null, 2));
+      if (!res.ok) process.exit(1);
+      return;
+    }
+    if (sub === "lint") {
+      const res = lintTrace({ max: args.max ? Number(args.max) : undefined });
+      console.log(JSON.stringify(res, null, 2));
+      if (!res.ok) process.exit(1);
+      return;
+    }
+    if (sub === "query") {
+      const { _, "group-by": groupBy, ...q } = args;
+      try { console.log(JSON.stringify(queryTrace({ ...q, group_by: groupBy ?? q.group_by }), null, 2)); }
+      catch (e) { console.error(e.message); process.exit(1); }
+      return;
+    }
+    if (sub === "rotate") {
+      const seg = rotateTrace(args.gzip ? { gzip: true } : undefined);
+      console.log(seg ? `rotated → ${seg.file} (${seg.rows} rows)` : "nothing to rotate");
+      return;
     }
-    await kernelRun({ goal, mode, ctxRefs: ctx });
+    if (sub === "compact") {
+      const { compacted, segments } = compactTrace();
+      console.log(`compressed ${compacted} of ${segments} segments`);
+      return;
+    }
+    if (sub === "segments") {
+      for (const s of readIndex().segments) console.log(`${s.file}  seq ${s.seq_from}..${s.seq_to}  ${s.ts_from} → ${s.ts_to}  ${s.rows} rows  ${s.run_ids.length} runs`);
+      return;
+    }
+    if (sub === "export") {
+      // OTLP/JSON spans to a file and/or collector; flags override otel config / env
+      try {
+        const cfg = otelConfig();
+        const sink = createSpanSink(args.file || args.endpoint ? { ...cfg, file: args.file || "", endpoint: args.endpoint || "" } : cfg);
+        const rows = readTrace({ since: parseTime(args.since), until: parseTime(args.until), run_id: args.run_id });
+        const res = await exportSpans(rows, sink);
+        console.log(`exported ${res.spans} spans (${res.runs} runs, ${res.rows} rows) → ${[sink.file, sink.url].filter(Boolean).join(", ")}`);
+      } catch (e) { console.error(e.message); process.exit(1); }
+      return;
+    }
+    console.error(`unknown trace subcommand: ${sub} (path|migrate|verify|lint|rotate|compact|segments|query|export)`);
+    process.exit(1);
+  }
+
+  if (cmd === "runs") {
+    // Usage: nstar runs [<run_id>] [--limit=20 --mode= --decision=APPLY|INTENT|REFUSED|ERROR --since=7d] [--json]
+    try { runsCommand(args._?.[0], args); }
+    catch (e) { console.error(e.message); process.exit(1); }
+    return;
+  }
+
+  if (cmd === "spend") {
+    console.log(JSON.stringify(spendStatus(), null, 2));
     return;
   }
 
@@ -192,7 +456,10 @@ async function main() {
     console.log(`watching… auto-update every ${secs}s, re-run on PR_MAP or policy changes`);
     setInterval(() => { gitPullFF(); }, secs*1000);
     fs.watch(r("ops"), { recursive:true }, (e, f) => { if (f && f.includes("PR_MAP.json")) console.log("PR_MAP changed:", f); });
-    fs.watch(r("policy"), { recursive:true }, (e, f) => { if (f) console.log("policy changed:", f); });
+    console.log(`policy ${policyVersion().version}`);
+    watchPolicy({ run_id: `${Date.now().toString(36)}:watch`, onReload: (res) => console.log(res.ok
+      ? `policy reloaded: ${res.previous} → ${res.version}`
+      : `policy rejected, keeping ${res.version}:\n  ${res.errors.join("\n  ")}`) });
     process.stdin.resume();
     return;
   }
@@ -200,9 +467,14 @@ async function main() {
   // help
   console.log(`nstar <cmd>
   paste     # save stdin/clipboard to assets/paste/<hash>.md → ctx://paste/<hash>
-  run       # run loop (plan→patch→test→decide). opts: --goal, --mode, --ctx
+  run       # run loop (plan→patch→test→decide). opts: --goal, --mode, --ctx, --ctx-budget, --provider, --test, --chain-max
+  intents   # list | show <id> | apply <id> (branch + commit) | publish <id> --via=github|patch-email | drop <id>
+  trace     # path (configured ledger: NSTAR_TRACE or nstar.config.json) | migrate (merge legacy ledgers by ts) | verify (check the hash chain) | lint (schema) | rotate | compact | segments | export (OTLP spans: --file / --endpoint)
+  policy    # simulate --policy=candidate.json: replay past gate evidence, report APPLY↔INTENT flips per mode
+  runs      # recent runs, or one run's timeline: runs [<run_id>] [--mode --decision --since --limit --json]
+  spend     # spend over the last 24h vs policy/cost.json per_day_gbp
   update    # git fetch + ff-only pull
-  watch     # auto-update on interval, watch PR_MAP/policy
+  watch     # auto-update on interval, watch PR_MAP, hot-reload policy
 `);
 }
 
@@ -2,6 +2,7 @@
 // Demo: nstar building its own code with the spark system
 import { spawn } from "child_process";
 import fs from "fs";
+import { tracePath } from "./lib/ledger.mjs";
 
 async function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
@@ -17,7 +18,7 @@ async function demoSpark() {
   console.log("─".repeat(30));
   
   const initialFiles = fs.readdirSync("bin/").length;
-  const initialTrace = fs.readFileSync("ops/TRACE.jsonl", "utf8").split("\n").length;
+  const initialTrace = fs.readFileSync(tracePath(), "utf8").split("\n").length;
   
   console.log(`📁 Code files: ${initialFiles}`);
   console.log(`📊 TRACE entries: ${initialTrace}`);
@@ -86,7 +87,7 @@ async function demoSpark() {
   console.log("\n📊 FINAL STATE:");
   console.log("─".repeat(30));
   
-  const finalTrace = fs.readFileSync("ops/TRACE.jsonl", "utf8").split("\n").length;
+  const finalTrace = fs.readFileSync(tracePath(), "utf8").split("\n").length;
   const improvementsDir = fs.existsSync("improvements") ? fs.readdirSync("improvements").length : 0;
   
   console.log(`📁 Code files: ${initialFiles} (unchanged)`);
@@ -117,7 +118,7 @@ async function demoSpark() {
   console.log("\n📊 TRACE EVIDENCE:");
   console.log("─".repeat(30));
   
-  const traceContent = fs.readFileSync("ops/TRACE.jsonl", "utf8");
+  const traceContent = fs.readFileSync(tracePath(), "utf8");
   const sparkEntries = traceContent.split("\n")
     .filter(line => line.includes('"spark"'))
     .slice(-3);
@@ -147,7 +148,7 @@ async function demoSpark() {
   console.log("\n🚀 Next Steps:");
   console.log("• Run: ./bin/nstar-spark.mjs loop (continuous improvement)");
   console.log("• Check: improvements/ directory for generated code");
-  console.log("• Monitor: ops/TRACE.jsonl for spark activity");
+  console.log(`• Monitor: ${tracePath()} for spark activity`);
   console.log("• Integrate: improvements into main codebase");
 }
 
@@ -0,0 +1,112 @@
+// Context resolver: turn ctx://, file:// and url:// refs into documents for the plan, within a token budget.
+//   ctx://paste/<id>   → assets/paste/<id>.md
+//   file://<path|glob> → repo-relative files (*, **, ? supported)
+//   url://<host/path>  → fetched over https by a pluggable fetcher (NSTAR_URL_FIXTURES=<dir> serves <sha1(url)[:12]>.md locally)
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { countTokens } from "./cost.mjs";
+import { globToRegex } from "./glob.mjs";
+
+const ROOT = process.cwd();
+const SKIP_DIRS = new Set([".git", "node_modules"]);
+const MAX_GLOB_FILES = 200;
+
+function inside(root, p) {
+  const rel = path.relative(root, p);
+  return rel && !rel.startsWith("..") && !path.isAbsolute(rel);
+}
+
+function walk(dir, root, outFiles) {
+  for (const ent of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (SKIP_DIRS.has(ent.name)) continue;
+    const full = path.join(dir, ent.name);
+    if (ent.isDirectory()) walk(full, root, outFiles);
+    else if (ent.isFile()) outFiles.push(path.relative(root, full).split(path.sep).join("/"));
+  }
+  return outFiles;
+}
+
+export function expandFileRef(spec, root = ROOT) {
+  if (!/[*?]/.test(spec)) {
+    const full = path.resolve(root, spec);
+    if (!inside(root, full)) throw new Error(`outside repo: ${spec}`);
+    if (!fs.existsSync(full) || !fs.statSync(full).isFile()) throw new Error(`not found: ${spec}`);
+    return [spec];
+  }
+  if (spec.split("/").includes("..") || path.isAbsolute(spec)) throw new Error(`outside repo: ${spec}`);
+  const re = globToRegex(spec);
+  const matches = walk(root, root, []).filter(f => re.test(f)).sort();
+  if (matches.length === 0) throw new Error(`no files match: ${spec}`);
+  return matches.slice(0, MAX_GLOB_FILES);
+}
+
+export function createFetcher({ fixtures = process.env.NSTAR_URL_FIXTURES } = {}) {
+  if (fixtures) {
+    return async (url) => {
+      const p = path.join(fixtures, `${crypto.createHash("sha1").update(url).digest("hex").slice(0, 12)}.md`);
+      if (!fs.existsSync(p)) throw new Error(`no fixture for ${url}`);
+      return fs.readFileSync(p, "utf8");
+    };
+  }
+  return async (url) => {
+    const res = await fetch(url, { signal: AbortSignal.timeout(15000) });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return await res.text();
+  };
+}
+
+async function loadRef(ref, { root, fetcher }) {
+  const m = ref.match(/^(\w+):\/\/(.+)$/);
+  if (!m) throw new Error("unrecognised ref");
+  const [, scheme, rest] = m;
+  if (scheme === "ctx") {
+    const pm = rest.match(/^paste\/([\w-]+)$/);
+    if (!pm) throw new Error("expected ctx://paste/<id>");
+    const p = path.join(root, "assets/paste", `${pm[1]}.md`);
+    if (!fs.existsSync(p)) throw new Error(`paste not found: ${pm[1]}`);
+    return [{ source: path.relative(root, p), text: fs.readFileSync(p, "utf8") }];
+  }
+  if (scheme === "file") {
+    return expandFileRef(rest, root).map(f => ({ source: f, text: fs.readFileSync(path.join(root, f), "utf8") }));
+  }
+  if (scheme === "url") {
+    const url = /^https?:\/\//.test(rest) ? rest : `https://${rest}`;
+    return [{ source: url, text: await fetcher(url) }];
+  }
+  throw new Error(`unsupported scheme: ${scheme}`);
+}
+
+// Resolve refs in order until `budget` tokens are used. A document that would overflow is truncated
+// when enough room is left, otherwise skipped. `loaded` lists refs that contributed at least one document.
+export async function resolveContext(refs, { root = ROOT, budget = 8000, fetcher = createFetcher(), count = countTokens } = {}) {
+  const docs = [], loaded = [], skipped = [];
+  let tokens = 0;
+  for (const ref of refs) {
+    let parts;
+    try { parts = await loadRef(ref, { root, fetcher }); }
+    catch (e) { skipped.push({ ref, reason: e.message }); continue; }
+    let used = false;
+    for (const { source, text } of parts) {
+      const left = budget - tokens;
+      const need = count(text);
+      if (need <= left) {
+        docs.push({ ref, source, text, tokens: need, truncated: false });
+        tokens += need;
+        used = true;
+      } else if (left >= 64) {
+        let cut = text.slice(0, Math.floor(text.length * left / need));
+        while (count(cut) > left) cut = cut.slice(0, Math.floor(cut.length * 0.9));
+        const t = count(cut);
+        docs.push({ ref, source, text: cut, tokens: t, truncated: true });
+        tokens += t;
+        used = true;
+      } else {
+        skipped.push({ ref, source, reason: "token budget exhausted" });
+      }
+    }
+    if (used) loaded.push(ref);
+  }
+  return { docs, loaded, skipped, tokens, budget };
+}
+export default { resolveContext, expandFileRef, createFetcher };
@@ -0,0 +1,35 @@
+// Cost estimation: count prompt/completion tokens and price them with policy/pricing.json.
+import { pricingCfg } from "./policy.mjs";
+
+// BPE-ish approximation: one token per punctuation mark, one per ~4 characters of a word.
+export function countTokens(text = "") {
+  let n = 0;
+  for (const m of String(text).matchAll(/[A-Za-z0-9_]+|[^\sA-Za-z0-9_]/g)) n += Math.ceil(m[0].length / 4);
+  return n;
+}
+
+export function modelPrice(model) {
+  const table = pricingCfg.per_1k_tokens || {};
+  // Dated snapshots ("gpt-4o-mini-2024-07-18") fall back to their base model
+  const key = Object.keys(table).filter(k => k !== "default" && model?.startsWith(k)).sort((a, b) => b.length - a.length)[0];
+  return { model: key || "default", ...(table[key] || table.default || { prompt: 0, completion: 0 }) };
+}
+
+function price(model, prompt_tokens, completion_tokens) {
+  const p = modelPrice(model);
+  const gbp = (prompt_tokens * p.prompt + completion_tokens * p.completion) / 1000;
+  return { model, priced_as: p.model, prompt_tokens, completion_tokens, gbp: +gbp.toFixed(6) };
+}
+
+// Before the call: exact prompt tokens, completion tokens from policy's expected size.
+export function estimateCost({ model, prompt }) {
+  return price(model, countTokens(prompt), pricingCfg.expected_completion_tokens ?? 800);
+}
+
+// After the call: provider-reported usage when available, otherwise count the texts.
+export function actualCost({ model, usage, prompt = "", completion = "" }) {
+  const pt = usage?.prompt_tokens ?? countTokens(prompt);
+  const ct = usage?.completion_tokens ?? countTokens(completion);
+  return price(model, pt, ct);
+}
+export default { countTokens, modelPrice, estimateCost, actualCost };
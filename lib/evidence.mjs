@@ -0,0 +1,109 @@
+// Evidence collection: apply a patch in the run's sandbox, run the tests, measure the diff.
+// Test command: --test flag, NSTAR_TEST_CMD, else `npm test` when package.json defines one.
+import fs from "fs";
+import path from "path";
+import { spawnSync } from "child_process";
+
+const ROOT = process.cwd();
+
+export function defaultTestCommand(root = ROOT) {
+  if (process.env.NSTAR_TEST_CMD) return process.env.NSTAR_TEST_CMD;
+  try {
+    const pkg = JSON.parse(fs.readFileSync(path.join(root, "package.json"), "utf8"));
+    if (pkg.scripts?.test) return "npm test";
+  } catch {}
+  return "";
+}
+
+export function diffStats(unified) {
+  const files = new Set();
+  let added = 0, removed = 0;
+  for (const line of unified.split("\n")) {
+    const m = line.match(/^diff --git a\/(.+?) b\/(.+)$/);
+    if (m) { files.add(m[2]); continue; }
+    if (line.startsWith("+++") || line.startsWith("---")) continue;
+    if (line.startsWith("+")) added++;
+    else if (line.startsWith("-")) removed++;
+  }
+  return { files: files.size, added, removed, lines: added + removed };
+}
+
+// Pull pass/fail counts out of common runner summaries (node:test TAP/spec, jest, vitest, mocha).
+export function parseTestSummary(output) {
+  const num = (re) => { const m = output.match(re); return m ? Number(m[1]) : null; };
+  let passed = num(/^[#ℹ] pass (\d+)/m) ?? num(/Tests:.*?(\d+) passed/) ?? num(/Tests\s+.*?(\d+) passed/) ?? num(/(\d+) passing/);
+  let failed = num(/^[#ℹ] fail (\d+)/m) ?? num(/Tests:.*?(\d+) failed/) ?? num(/Tests\s+.*?(\d+) failed/) ?? num(/(\d+) failing/);
+  if (passed === null && failed === null) return null;
+  passed ??= 0; failed ??= 0;
+  return { passed, failed, total: passed + failed };
+}
+
+// Line coverage % from a text coverage table (istanbul/nyc/c8/jest/vitest "All files", node --test "all files").
+// istanbul tables lead with % Stmts, so the column comes from the header; without one, the first figure.
+export function parseCoverage(output) {
+  const lines = output.split("\n");
+  const at = lines.findIndex(l => /^[#ℹ\s]*all files\s*\|/i.test(l));
+  if (at < 0) return null;
+  const cells = (l) => l.split("|").map(c => c.trim());
+  const header = lines.slice(0, at).findLast(l => /^[#ℹ\s]*file\s*\|/i.test(l));
+  const col = header ? cells(header).findIndex(c => /^(% ?lines|lines? %)$/i.test(c)) : -1;
+  const cell = cells(lines[at])[col > 0 ? col : 1];
+  return cell && Number.isFinite(Number(cell)) ? Number(cell) : null;
+}
+
+export function runTests(cmd, { cwd = ROOT, timeoutMs = 10 * 60 * 1000 } = {}) {
+  if (!cmd) return { ok: true, skipped: true, exit_code: null, summary: null, output: "", duration_ms: 0 };
+  const t0 = Date.now();
+  const proc = spawnSync(cmd, { cwd, shell: true, encoding: "utf8", timeout: timeoutMs, maxBuffer: 64 * 1024 * 1024 });
+  const output = `${proc.stdout || ""}${proc.stderr || ""}`;
+  return {
+    ok: proc.status === 0,
+    skipped: false,
+    exit_code: proc.status,
+    timed_out: proc.error?.code === "ETIMEDOUT",
+    summary: parseTestSummary(output),
+    coverage: parseCoverage(output),
+    output: output.slice(-4000),
+    duration_ms: Date.now() - t0
+  };
+}
+
+// Pass ratio from the runner summary; a failing command with nothing counted as failed (crash, timeout) is 0.
+export function passRatio(tests) {
+  const s = tests.summary;
+  if (!s?.total) return tests.ok ? 1 : 0;
+  if (!tests.ok && s.failed === 0) return 0;
+  return +(s.passed / s.total).toFixed(3);
+}
+
+// Apply `patch` in the run's sandbox, commit it there, run `testCmd` and measure the diff.
+// Signals are raw values (ratios, counts, deltas); policy/gamma.json "signals" says how each is normalized.
+// `requestedRefs` are the refs asked for, `ctxRefs` the ones that made it into the prompt;
+// `coverageBaseline` is the last recorded coverage %, for coverage_delta.
+// `onApplied(applied)` is called after the apply and before the tests.
+export function collectEvidence({ sandbox, patch, message = "nstar patch", testCmd = defaultTestCommand(), ctxRefs = [],
+                                  requestedRefs = ctxRefs, costOk = true, diffBudget = { files: 3, lines: 50 }, coverageBaseline = null,
+                                  onApplied = () => {} }) {
+  let applied = sandbox.apply(patch);
+  if (applied.ok) {
+    const committed = sandbox.commitAll(message);
+    if (!committed.ok) applied = { ...applied, ok: false, error: committed.error };
+  }
+  const diff = diffStats(applied.unified);
+  onApplied(applied);
+  const tests = applied.ok ? runTests(testCmd, { cwd: sandbox.dir }) : { ok: false, skipped: true, exit_code: null, summary: null, output: "", duration_ms: 0 };
+  const evidence = {
+    tests_pass: applied.ok ? passRatio(tests) : 0,
+    retrieval_cited: requestedRefs.length > 0 ? +(ctxRefs.length / requestedRefs.length).toFixed(3) : 0,
+    cost_ok: costOk ? 1 : 0,
+    diff_tiny: applied.ok && diff.files <= diffBudget.files && diff.lines <= diffBudget.lines ? 1 : 0,
+    diff_files: diff.files,
+    diff_lines: diff.lines
+  };
+  if (applied.ok && typeof tests.coverage === "number") {
+    evidence.coverage = tests.coverage;
+    if (typeof coverageBaseline === "number") evidence.coverage_delta = +(tests.coverage - coverageBaseline).toFixed(2);
+  }
+  return { evidence, applied, tests: { cmd: testCmd, ...tests }, diff };
+}
+export default { collectEvidence, runTests, diffStats, parseTestSummary, parseCoverage, passRatio, defaultTestCommand };
@@ -0,0 +1,15 @@
+// Repo-relative path globs: * and ? stay within a path segment, ** spans directories ("policy/**", "**/*.md").
+export function globToRegex(glob) {
+  let re = "";
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === "*" && glob[i + 1] === "*") { re += glob[i + 2] === "/" ? "(?:.*/)?" : ".*"; i += glob[i + 2] === "/" ? 2 : 1; }
+    else if (c === "*") re += "[^/]*";
+    else if (c === "?") re += "[^/]";
+    else re += c.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+  }
+  return new RegExp(`^${re}$`);
+}
+
+export const matchesGlob = (file, globs) => [].concat(globs).some(g => globToRegex(g).test(file));
+export default { globToRegex, matchesGlob };
@@ -0,0 +1,109 @@
+// PR intents: low-γ patches queued in state/intents/pr.jsonl, turned into local branches and published on demand.
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { appendTrace } from "./ledger.mjs";
+import { withFileLock } from "./lock.mjs";
+import { createSandbox } from "./sandbox.mjs";
+import { createPublisher } from "./publish.mjs";
+
+const ROOT = process.cwd();
+const INTENTS = path.join(ROOT, "state/intents/pr.jsonl");
+// Appends (kernel runs) and rewrites (status changes) serialise on one lock, so a rewrite never drops an append
+const withIntentsLock = (fn) => withFileLock(`${INTENTS}.lock`, fn, { what: "intents file" });
+
+// Rows written before intents had ids get a stable one derived from their timestamp and branch.
+export const intentId = (row) => row.id || crypto.createHash("sha1").update(`${row.ts}|${row.branch}`).digest("hex").slice(0, 8);
+
+export function readIntents(file = INTENTS) {
+  if (!fs.existsSync(file)) return [];
+  const rows = [];
+  for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      const row = JSON.parse(line);
+      rows.push({ ...row, id: intentId(row), status: row.status || "open" });
+    } catch {}
+  }
+  return rows;
+}
+
+function writeIntents(rows, file = INTENTS) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, rows.map(r => JSON.stringify(r)).join("\n") + (rows.length ? "\n" : ""));
+  fs.renameSync(tmp, file);
+}
+
+export function findIntent(id, rows = readIntents()) {
+  const hits = rows.filter(r => r.id.startsWith(id));
+  if (hits.length === 0) throw new Error(`no intent matches ${id}`);
+  if (hits.length > 1) throw new Error(`ambiguous intent id ${id}: ${hits.map(r => r.id).join(", ")}`);
+  return hits[0];
+}
+
+export function updateIntent(id, fields) {
+  return withIntentsLock(() => {
+    const rows = readIntents();
+    const target = findIntent(id, rows);
+    const next = rows.map(r => r.id === target.id ? { ...r, ...fields } : r);
+    writeIntents(next);
+    return next.find(r => r.id === target.id);
+  });
+}
+
+export function addIntent({ title, body, branch, diff, run_id }) {
+  const ts = new Date().toISOString();
+  const row = { id: intentId({ ts, branch }), ts, status: "open", run_id, title, body, branch, diff };
+  withIntentsLock(() => fs.appendFileSync(INTENTS, JSON.stringify(row) + "\n"));
+  return row;
+}
+
+// Create the intent's branch from HEAD, apply its diff and commit with its title/body.
+// Runs in a temporary worktree so the user's checkout is never touched.
+export function applyIntent(id) {
+  const intent = findIntent(id);
+  if (!["open", "failed"].includes(intent.status)) throw new Error(`intent ${intent.id} is ${intent.status}`);
+  const sandbox = createSandbox({ run_id: `intent-${intent.id}`, branch: intent.branch });
+  try {
+    const applied = sandbox.apply(intent.diff);
+    const committed = applied.ok ? sandbox.commitAll(`${intent.title}\n\n${intent.body || ""}`.trim()) : applied;
+    if (!committed.ok) {
+      const row = updateIntent(intent.id, { status: "failed", failed_at: new Date().toISOString(), error: committed.error });
+      appendTrace({ run_id: intent.run_id, phase: "intent", step: "apply", ok: false, note: intent.title, extra: { id: intent.id, error: committed.error } });
+      return row;
+    }
+    const row = updateIntent(intent.id, { status: "applied", applied_at: new Date().toISOString(), commit: committed.commit, error: undefined });
+    appendTrace({ run_id: intent.run_id, phase: "intent", step: "apply", ok: true, note: intent.title,
+                  extra: { id: intent.id, branch: intent.branch, commit: committed.commit } });
+    return row;
+  } finally {
+    sandbox.dispose();
+  }
+}
+
+// Push/open a PR (or write a patch series) for an applied intent and record where it went.
+export async function publishIntent(id, { via = "github", ...opts } = {}) {
+  const intent = findIntent(id);
+  if (!["applied", "published"].includes(intent.status)) throw new Error(`intent ${intent.id} is ${intent.status}; apply it first`);
+  const publisher = createPublisher(via, opts);
+  try {
+    const result = await publisher.publish(intent);
+    const row = updateIntent(intent.id, { status: "published", published_at: new Date().toISOString(), published: { via, ...result } });
+    appendTrace({ run_id: intent.run_id, phase: "intent", step: "published", ok: true, note: result.url || result.path,
+                  extra: { id: intent.id, via, ...result } });
+    return row;
+  } catch (e) {
+    appendTrace({ run_id: intent.run_id, phase: "intent", step: "published", ok: false, note: e.message, extra: { id: intent.id, via } });
+    throw e;
+  }
+}
+
+export function dropIntent(id) {
+  const intent = findIntent(id);
+  if (intent.status === "dropped") return intent;
+  const row = updateIntent(intent.id, { status: "dropped", dropped_at: new Date().toISOString() });
+  appendTrace({ run_id: intent.run_id, phase: "intent", step: "drop", ok: true, note: intent.title, extra: { id: intent.id } });
+  return row;
+}
+export default { readIntents, findIntent, updateIntent, addIntent, applyIntent, publishIntent, dropIntent, intentId };
@@ -1,12 +1,412 @@
+// TRACE ledger: one append-only JSONL file shared by every writer and reader.
+// Location: NSTAR_TRACE, else "trace.path" in nstar.config.json, else ops/TRACE.jsonl.
+// Rows are hash-chained: each carries `seq`, `prev` (hash of the previous row) and its own `hash`.
+// The active file rotates into numbered segments under <name>.segments/ (see "trace.rotate"), listed in index.json
+// with their seq/time ranges and run_ids; readers go through the index and only open the segments they need.
+// Rows are validated against schema/trace-event.v<N>.json as they are written and upgraded as they are read.
+// Writers in any process serialise on <ledger>.lock, so seq is assigned and the line written under one lock.
 import fs from "fs";
 import path from "path";
+import zlib from "zlib";
+import crypto from "crypto";
+import { SCHEMA_VERSION, validateRow, upgradeRow } from "./schema.mjs";
+import { withFileLock } from "./lock.mjs";
 
 const ROOT = process.cwd();
-const LEDGER = path.join(ROOT, "ops/TRACE.jsonl");
+const DEFAULT_PATH = "ops/TRACE.jsonl";
+// Places earlier versions wrote to; `nstar trace migrate` folds them into the configured ledger.
+export const LEGACY_PATHS = ["ops/TRACE.jsonl", "state/TRACE.jsonl"];
+
+function readConfig() {
+  try { return JSON.parse(fs.readFileSync(path.join(ROOT, "nstar.config.json"), "utf8")); }
+  catch { return {}; }
+}
+
+export function tracePath() {
+  return path.resolve(ROOT, process.env.NSTAR_TRACE || readConfig().trace?.path || DEFAULT_PATH);
+}
+
+// Rotation: max_bytes (0 = off) and/or daily (UTC day change); gzip compresses segments as they are cut.
+// validate: "flag" writes a non-conforming row with an `invalid` list, "reject" throws instead.
+export function traceConfig() {
+  const t = readConfig().trace || {};
+  return {
+    path: tracePath(),
+    max_bytes: Number(process.env.NSTAR_TRACE_MAX_BYTES ?? t.rotate?.max_bytes ?? 5 * 1024 * 1024),
+    daily: Boolean(t.rotate?.daily),
+    gzip: Boolean(t.gzip),
+    validate: process.env.NSTAR_TRACE_VALIDATE || t.validate || "flag"
+  };
+}
+
+const LEDGER = tracePath();
+const SEGMENTS = path.join(path.dirname(LEDGER), `${path.basename(LEDGER, ".jsonl")}.segments`);
+const INDEX = path.join(SEGMENTS, "index.json");
+const LOCK = `${LEDGER}.lock`;
+export const GENESIS = "0".repeat(64);
+
+// Run fn holding the ledger lock. Re-entrant within a process.
+export function withTraceLock(fn) {
+  return withFileLock(LOCK, fn, { what: "TRACE ledger" });
+}
+
+const sha256 = (s) => crypto.createHash("sha256").update(s).digest("hex");
+
+// Hash of a row as the next row's `prev`: its own `hash` when chained, else the raw line (pre-chain rows).
+export function linkHash(row, line) {
+  return typeof row?.hash === "string" ? row.hash : sha256(line);
+}
+
+// A row's hash covers every field but `hash`, in the order they were written.
+export function rowHash(row) {
+  const { hash, ...rest } = row;
+  return sha256(JSON.stringify(rest));
+}
+
+// `last` is what the row chains onto: { row, line, seq }, seq being the newest chained seq (the last row may be
+// an unchained legacy one); 0 only when nothing before carries a seq.
+function seal(row, last) {
+  const ev = { schema: SCHEMA_VERSION, ts: new Date().toISOString(), ok: true, ...row };
+  ev.schema = SCHEMA_VERSION;
+  delete ev.seq; delete ev.prev; delete ev.hash;
+  const prevSeq = last?.seq ?? (Number.isInteger(last?.row?.seq) ? last.row.seq : null);
+  ev.seq = prevSeq === null ? 0 : prevSeq + 1;
+  ev.prev = last ? linkHash(last.row, last.line) : GENESIS;
+  ev.hash = rowHash(ev);
+  return ev;
+}
+
+// Complete lines at the end of a file (at least one when there is one), read from the end so appends stay cheap.
+function tailLines(file) {
+  if (!fs.existsSync(file)) return [];
+  const fd = fs.openSync(file, "r");
+  try {
+    const size = fs.fstatSync(fd).size;
+    for (let chunk = 64 * 1024; ; chunk *= 4) {
+      const start = Math.max(0, size - chunk);
+      const buf = Buffer.alloc(size - start);
+      fs.readSync(fd, buf, 0, buf.length, start);
+      // The first line of a partial chunk may be cut off
+      const lines = buf.toString("utf8").split("\n").slice(start > 0 ? 1 : 0).filter(l => l.trim());
+      if (lines.length > 0 || start === 0) return lines;
+    }
+  } finally { fs.closeSync(fd); }
+}
+
+function endsWithNewline(file) {
+  const size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+  if (size === 0) return true;
+  const fd = fs.openSync(file, "r");
+  try {
+    const buf = Buffer.alloc(1);
+    fs.readSync(fd, buf, 0, 1, size - 1);
+    return buf[0] === 10;
+  } finally { fs.closeSync(fd); }
+}
+
+function firstRow(file) {
+  if (!fs.existsSync(file)) return null;
+  const fd = fs.openSync(file, "r");
+  try {
+    const buf = Buffer.alloc(64 * 1024);
+    const n = fs.readSync(fd, buf, 0, buf.length, 0);
+    try { return JSON.parse(buf.toString("utf8", 0, n).split("\n")[0]); } catch { return null; }
+  } finally { fs.closeSync(fd); }
+}
+
+// ---------- segments ----------
+
+export function readIndex() {
+  try { return JSON.parse(fs.readFileSync(INDEX, "utf8")); }
+  catch { return { segments: [] }; }
+}
+
+function writeIndex(index) {
+  fs.mkdirSync(SEGMENTS, { recursive: true });
+  const tmp = `${INDEX}.tmp-${process.pid}`;
+  fs.writeFileSync(tmp, JSON.stringify(index, null, 2));
+  fs.renameSync(tmp, INDEX);
+}
+
+function segmentLines(seg) {
+  const p = path.join(SEGMENTS, seg.file);
+  if (!fs.existsSync(p)) throw new Error(`missing TRACE segment ${seg.file}`);
+  const buf = fs.readFileSync(p);
+  return (seg.file.endsWith(".gz") ? zlib.gunzipSync(buf) : buf).toString("utf8").split("\n");
+}
+
+function gzipSegment(seg) {
+  const p = path.join(SEGMENTS, seg.file);
+  fs.writeFileSync(`${p}.gz`, zlib.gzipSync(fs.readFileSync(p)));
+  fs.unlinkSync(p);
+  return { ...seg, file: `${seg.file}.gz`, bytes: fs.statSync(`${p}.gz`).size };
+}
+
+// Cut the active file into the next segment and index it; the next append chains onto the segment's last row.
+export function rotateTrace({ gzip = traceConfig().gzip } = {}) {
+  return withTraceLock(() => rotateLocked(gzip));
+}
+
+function rotateLocked(gzip) {
+  if (!fs.existsSync(LEDGER)) return null;
+  const lines = fs.readFileSync(LEDGER, "utf8").split("\n");
+  // Nothing to cut (empty, or only blank lines): the next row keeps chaining onto the newest segment
+  if (!lines.some(l => l.trim())) return null;
+  const index = readIndex();
+  const file = `${String(index.segments.length + 1).padStart(6, "0")}.jsonl`;
+  fs.mkdirSync(SEGMENTS, { recursive: true });
+  fs.renameSync(LEDGER, path.join(SEGMENTS, file));
+  const rows = [], runIds = new Set();
+  let last = null;
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    try { const row = JSON.parse(line); rows.push(row); if (row.run_id) runIds.add(row.run_id); last = { row, line }; }
+    catch { last = { row: null, line }; }
+  }
+  let seg = {
+    file,
+    rows: rows.length,
+    bytes: fs.statSync(path.join(SEGMENTS, file)).size,
+    seq_from: rows.find(r => Number.isInteger(r.seq))?.seq ?? null,
+    seq_to: rows.findLast(r => Number.isInteger(r.seq))?.seq ?? null,
+    ts_from: rows[0]?.ts ?? null,
+    ts_to: rows[rows.length - 1]?.ts ?? null,
+    run_ids: [...runIds],
+    last_hash: linkHash(last.row, last.line)
+  };
+  if (gzip) seg = gzipSegment(seg);
+  index.segments.push(seg);
+  writeIndex(index);
+  return seg;
+}
+
+// Compress every segment that was cut while gzip was off.
+export function compactTrace() {
+  return withTraceLock(() => {
+    const index = readIndex();
+    let compacted = 0;
+    index.segments = index.segments.map(seg => {
+      if (seg.file.endsWith(".gz")) return seg;
+      compacted++;
+      return gzipSegment(seg);
+    });
+    if (compacted) writeIndex(index);
+    return { compacted, segments: index.segments.length };
+  });
+}
+
+function maybeRotate(cfg) {
+  if (!fs.existsSync(LEDGER)) return;
+  const size = fs.statSync(LEDGER).size;
+  if (size === 0) return;
+  const dayChanged = cfg.daily && (firstRow(LEDGER)?.ts || "").slice(0, 10) !== new Date().toISOString().slice(0, 10);
+  if ((cfg.max_bytes > 0 && size >= cfg.max_bytes) || dayChanged) rotateLocked(cfg.gzip);
+}
+
+// What the next row chains onto: the active file's last readable row (a torn line left by a crashed writer
+// is skipped, and shows up in `trace verify`), else the newest segment's.
+// `seq` is the newest chained seq, looked for further back when the last row has none.
+function lastEntry() {
+  const lines = tailLines(LEDGER);
+  let entry = null;
+  for (let i = lines.length - 1; i >= 0 && !entry; i--) {
+    try { entry = { row: JSON.parse(lines[i]), line: lines[i] }; } catch {}
+  }
+  if (!entry && lines.length) entry = { row: null, line: lines.at(-1) };
+  const segments = readIndex().segments;
+  const segSeq = () => segments.findLast(seg => Number.isInteger(seg.seq_to))?.seq_to ?? null;
+  if (!entry) {
+    const seg = segments.at(-1);
+    return seg ? { row: { seq: seg.seq_to, hash: seg.last_hash }, line: null, seq: segSeq() } : null;
+  }
+  if (Number.isInteger(entry.row?.seq)) return { ...entry, seq: entry.row.seq };
+  return { ...entry, seq: chainedSeq(lines) ?? chainedSeq(fs.readFileSync(LEDGER, "utf8").split("\n")) ?? segSeq() };
+}
+
+function chainedSeq(lines) {
+  for (let i = lines.length - 1; i >= 0; i--) {
+    try { const row = JSON.parse(lines[i]); if (Number.isInteger(row.seq)) return row.seq; } catch {}
+  }
+  return null;
+}
 
 export function appendTrace(row) {
-  const ev = { ts: new Date().toISOString(), ok: true, ...row };
+  const cfg = traceConfig();
+  fs.mkdirSync(path.dirname(LEDGER), { recursive: true });
+  return withTraceLock(() => {
+    maybeRotate(cfg);
+    const ev = seal(row, lastEntry());
+    const errors = validateRow(ev);
+    if (errors.length) {
+      if (cfg.validate === "reject") throw new Error(`TRACE row rejected: ${errors.join("; ")}`);
+      delete ev.hash;
+      ev.invalid = errors;
+      ev.hash = rowHash(ev);
+    }
+    // One write per row; a torn tail from a crashed writer is closed off first so it can't swallow this row
+    fs.appendFileSync(LEDGER, (endsWithNewline(LEDGER) ? "" : "\n") + JSON.stringify(ev) + "\n");
+    return ev;
+  });
+}
+
+function parseLines(lines) {
+  const rows = [];
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    try { rows.push(upgradeRow(JSON.parse(line))); } catch {}
+  }
+  return rows;
+}
+
+function parseRows(file) {
+  if (!fs.existsSync(file)) return [];
+  return parseLines(fs.readFileSync(file, "utf8").split("\n"));
+}
+
+// All rows, oldest first, across segments and the active file. `since`/`until` (ISO) and `run_id`
+// skip segments whose index entry can't match and filter the rows that remain.
+export function readTrace({ since, until, run_id } = {}) {
+  const rows = [];
+  for (const seg of readIndex().segments) {
+    if (since && seg.ts_to && seg.ts_to < since) continue;
+    if (until && seg.ts_from && seg.ts_from > until) continue;
+    if (run_id && !seg.run_ids.includes(run_id)) continue;
+    rows.push(...parseLines(segmentLines(seg)));
+  }
+  rows.push(...parseRows(LEDGER));
+  if (!since && !until && !run_id) return rows;
+  return rows.filter(row => (!since || row.ts >= since) && (!until || row.ts <= until) && (!run_id || row.run_id === run_id));
+}
+
+// Newest `limit` rows (oldest first), opening segments from the newest back only as far as needed.
+export function tailTrace(limit = 50) {
+  let rows = parseRows(LEDGER);
+  const segments = readIndex().segments;
+  for (let i = segments.length - 1; i >= 0 && rows.length < limit; i--) {
+    rows = [...parseLines(segmentLines(segments[i])), ...rows];
+  }
+  return rows.slice(-limit);
+}
+
+export function latestTrace() {
+  const lines = tailLines(LEDGER);
+  for (let i = lines.length - 1; i >= 0; i--) {
+    try { return upgradeRow(JSON.parse(lines[i])); } catch {}
+  }
+  return tailTrace(1).at(-1) || null;
+}
+
+// Merge every legacy ledger into the configured one, ordered by ts (stable, so equal timestamps keep file order).
+// Merged sources are renamed to <file>.migrated, which makes a second run a no-op.
+export function migrateTrace({ sources = LEGACY_PATHS } = {}) {
+  return withTraceLock(() => migrateLocked(sources));
+}
+
+function migrateLocked(sources) {
+  const others = [...new Set(sources.map(s => path.resolve(ROOT, s)))]
+    .filter(p => p !== LEDGER && fs.existsSync(p));
+  if (others.length === 0) return { path: LEDGER, sources: [], rows: parseRows(LEDGER).length };
+  if (readIndex().segments.length > 0) throw new Error("ledger already has rotated segments; migrate legacy ledgers before rotating");
+  const seen = new Set();
+  const merged = [];
+  for (const file of [LEDGER, ...others]) {
+    for (const row of parseRows(file)) {
+      const key = JSON.stringify(row);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      merged.push(row);
+    }
+  }
+  merged.sort((a, b) => String(a.ts || "").localeCompare(String(b.ts || "")));
+  // Merging reorders history, so the result is re-sealed as a fresh chain
+  let last = null;
+  const lines = merged.map(row => {
+    const line = JSON.stringify(seal(upgradeRow(row), last));
+    last = { row: JSON.parse(line), line };
+    return line + "\n";
+  });
   fs.mkdirSync(path.dirname(LEDGER), { recursive: true });
-  fs.appendFileSync(LEDGER, JSON.stringify(ev) + "\n");
+  const tmp = `${LEDGER}.tmp-${process.pid}`;
+  fs.writeFileSync(tmp, lines.join(""));
+  fs.renameSync(tmp, LEDGER);
+  for (const p of others) fs.renameSync(p, `${p}.migrated`);
+  return { path: LEDGER, sources: others.map(p => path.relative(ROOT, p)), rows: merged.length };
+}
+
+// Every raw line of the ledger, segments first: fn(file, lineNumber, line). Unreadable segments go to onMissing.
+function forEachLine(fn, onMissing = (seg, e) => { throw e; }) {
+  for (const seg of readIndex().segments) {
+    let lines;
+    try { lines = segmentLines(seg); }
+    catch (e) { onMissing(seg, e); continue; }
+    lines.forEach((line, i) => { if (line.trim()) fn(seg.file, i + 1, line); });
+  }
+  if (!fs.existsSync(LEDGER)) return;
+  fs.readFileSync(LEDGER, "utf8").split("\n").forEach((line, i) => { if (line.trim()) fn(path.basename(LEDGER), i + 1, line); });
+}
+
+// Walk the ledger (segments, then the active file) and check every link. Rows written before chaining
+// (no `seq`) are accepted only as a leading prefix. Reports the first break plus every gap in, or step back of,
+// the sequence; `line` is "<file>:<n>".
+export function verifyTrace() {
+  const res = { path: LEDGER, ok: true, rows: 0, legacy: 0, chained: 0, segments: 0, first_break: null, missing: [], reordered: [], problems: 0 };
+  const fail = (line, seq, reason) => {
+    res.ok = false;
+    res.problems++;
+    res.first_break ??= { line, seq, reason };
+  };
+  let prev = null, maxSeq = -1;
+  forEachLine((name, i, line) => {
+    const n = `${name}:${i}`;
+    res.rows++;
+    let row;
+    try { row = JSON.parse(line); }
+    catch { fail(n, null, "unparseable line"); prev = { row: null, line }; return; }
+    if (!Number.isInteger(row.seq)) {
+      if (res.chained > 0) fail(n, null, "unchained row after the chain started");
+      else res.legacy++;
+      prev = { row, line };
+      return;
+    }
+    res.chained++;
+    if (rowHash(row) !== row.hash) fail(n, row.seq, "row hash mismatch (row edited)");
+    const expectPrev = prev ? linkHash(prev.row, prev.line) : GENESIS;
+    if (row.prev !== expectPrev) fail(n, row.seq, "prev does not match the previous row (row removed, inserted or moved)");
+    if (row.seq <= maxSeq) {
+      res.reordered.push({ line: n, seq: row.seq, after: maxSeq });
+      fail(n, row.seq, `seq ${row.seq} after ${maxSeq}`);
+    } else {
+      const expected = res.chained === 1 ? 0 : maxSeq + 1;
+      if (row.seq > expected) {
+        res.missing.push({ from: expected, to: row.seq - 1 });
+        fail(n, row.seq, `missing seq ${expected}${row.seq - 1 > expected ? `..${row.seq - 1}` : ""}`);
+      }
+      maxSeq = row.seq;
+    }
+    prev = { row, line };
+  }, (seg, e) => fail(seg.file, seg.seq_from, e.message));
+  res.segments = readIndex().segments.length;
+  return res;
+}
+
+// Report rows that don't conform to the schema version they claim (or predate versioning).
+export function lintTrace({ max = 100 } = {}) {
+  const res = { path: LEDGER, ok: true, rows: 0, conforming: 0, by_version: {}, flagged: 0, unparseable: 0, problems: [], problems_total: 0 };
+  const report = (p) => { res.ok = false; res.problems_total++; if (res.problems.length < max) res.problems.push(p); };
+  forEachLine((file, n, line) => {
+    res.rows++;
+    let row;
+    try { row = JSON.parse(line); }
+    catch { res.unparseable++; report({ line: `${file}:${n}`, errors: ["unparseable line"] }); return; }
+    const version = row.schema ?? 0;
+    res.by_version[version] = (res.by_version[version] || 0) + 1;
+    if (Array.isArray(row.invalid)) res.flagged++;
+    let errors;
+    try { errors = validateRow(row); } catch (e) { errors = [e.message]; }
+    if (errors.length === 0) { res.conforming++; return; }
+    report({ line: `${file}:${n}`, seq: row.seq ?? null, schema: version, phase: row.phase ?? null, step: row.step ?? null,
+             flagged: Array.isArray(row.invalid), errors });
+  }, (seg, e) => report({ line: seg.file, errors: [e.message] }));
+  return res;
 }
-export default { appendTrace };
+export default { appendTrace, readTrace, tailTrace, latestTrace, tracePath, traceConfig, readIndex, rotateTrace, compactTrace, migrateTrace, verifyTrace, lintTrace, withTraceLock };
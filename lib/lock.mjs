@@ -0,0 +1,81 @@
+// Cross-process lock files: O_EXCL create, safe takeover of locks whose holder is gone, release only by the holder.
+// The TRACE ledger and the intents file each serialise their writers on one.
+import fs from "fs";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+
+const LOCK_WAIT_MS = 10000, LOCK_STALE_MS = 30000;
+
+const sleepSync = (ms) => Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+
+// Lock file contents: "<pid>\n<host>\n<token>\n"; the token tells one acquisition from the next.
+function readLock(file) {
+  try { return { text: fs.readFileSync(file, "utf8"), mtimeMs: fs.statSync(file).mtimeMs }; }
+  catch { return null; }
+}
+
+// A lock is stale when its holder on this host has exited. A live holder on this host keeps it however long it
+// works (a big compact or migrate); a holder on another host can't be checked, so its lock expires after LOCK_STALE_MS.
+function isStale(lock) {
+  const [pid, host] = lock.text.split("\n");
+  if (host === os.hostname() && Number(pid) > 0) {
+    try { process.kill(Number(pid), 0); return false; }
+    catch (e) { return e.code === "ESRCH"; }
+  }
+  return Date.now() - lock.mtimeMs > LOCK_STALE_MS;
+}
+
+// Remove `file` only if it still holds the stale contents seen earlier. Breakers serialise on <file>.break, so a
+// lock another waiter has already replaced is never the one deleted; the break lock is held only for the check.
+function breakStaleLock(file, seen) {
+  const breaker = `${file}.break`;
+  let fd;
+  try { fd = fs.openSync(breaker, "wx"); }
+  catch (e) {
+    if (e.code !== "EEXIST") throw e;
+    // A breaker that died between open and unlink leaves this behind
+    const held = readLock(breaker);
+    if (held && isStale(held)) fs.rmSync(breaker, { force: true });
+    return;
+  }
+  try {
+    fs.writeSync(fd, `${process.pid}\n${os.hostname()}\n`);
+    const now = readLock(file);
+    if (now && now.text === seen.text) fs.rmSync(file, { force: true });
+  } finally {
+    fs.closeSync(fd);
+    fs.rmSync(breaker, { force: true });
+  }
+}
+
+const depth = new Map();
+// Run fn holding `file` (an O_EXCL lock file). Re-entrant within a process.
+export function withFileLock(file, fn, { what = file } = {}) {
+  if (depth.get(file) > 0) return fn();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const mine = `${process.pid}\n${os.hostname()}\n${crypto.randomBytes(8).toString("hex")}\n`;
+  const deadline = Date.now() + LOCK_WAIT_MS;
+  for (let wait = 1; ; wait = Math.min(wait * 2, 50)) {
+    try {
+      const fd = fs.openSync(file, "wx");
+      fs.writeSync(fd, mine);
+      fs.closeSync(fd);
+      break;
+    } catch (e) {
+      if (e.code !== "EEXIST") throw e;
+      const held = readLock(file);
+      if (held && isStale(held)) { breakStaleLock(file, held); continue; }
+      if (Date.now() > deadline) throw new Error(`${what} locked by another process (${file})`);
+      sleepSync(wait);
+    }
+  }
+  depth.set(file, 1);
+  try { return fn(); }
+  finally {
+    depth.delete(file);
+    // Release only our own lock: if it expired and was taken over, the new holder's lock stays
+    if (readLock(file)?.text === mine) fs.rmSync(file, { force: true });
+  }
+}
+export default { withFileLock };
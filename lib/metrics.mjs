@@ -0,0 +1,120 @@
+// Prometheus metrics: counters, gauges and histograms with labels, rendered in the text exposition format,
+// plus a collector that folds TRACE rows into run, γ, gate, apply-failure and spend metrics.
+import { readTrace } from "./ledger.mjs";
+
+export const GAMMA_BUCKETS = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1];
+export const DURATION_BUCKETS = [1, 5, 10, 30, 60, 120, 300, 600];
+const SPEND_DAYS = 7;
+
+const escape = (v) => String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+const labelText = (labels) => {
+  const pairs = Object.entries(labels).map(([k, v]) => `${k}="${escape(v)}"`);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+};
+const num = (v) => Number.isFinite(v) ? String(+v.toFixed(6)) : v > 0 ? "+Inf" : v < 0 ? "-Inf" : "NaN";
+
+export function createRegistry() {
+  const metrics = new Map();
+  // Re-registering a name returns the existing metric, so collectors can share a registry
+  function register(type, name, help, extra = {}) {
+    if (!metrics.has(name)) metrics.set(name, { type, name, help, series: new Map(), ...extra });
+    const m = metrics.get(name);
+    if (m.type !== type) throw new Error(`metric ${name} already registered as a ${m.type}`);
+    return m;
+  }
+  const series = (m, labels, init) => {
+    const key = JSON.stringify(labels);
+    if (!m.series.has(key)) m.series.set(key, { labels, ...init() });
+    return m.series.get(key);
+  };
+
+  return {
+    counter(name, help) {
+      const m = register("counter", name, help);
+      return { inc: (labels = {}, by = 1) => { series(m, labels, () => ({ value: 0 })).value += by; } };
+    },
+    gauge(name, help) {
+      const m = register("gauge", name, help);
+      return {
+        set: (labels, value) => { series(m, labels, () => ({ value: 0 })).value = value; },
+        clear: () => m.series.clear()
+      };
+    },
+    histogram(name, help, buckets) {
+      const m = register("histogram", name, help, { buckets });
+      return {
+        observe: (labels, value) => {
+          const s = series(m, labels, () => ({ counts: m.buckets.map(() => 0), sum: 0, count: 0 }));
+          m.buckets.forEach((b, i) => { if (value <= b) s.counts[i]++; });
+          s.sum += value;
+          s.count++;
+        }
+      };
+    },
+    render() {
+      const out = [];
+      for (const m of metrics.values()) {
+        out.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`);
+        for (const s of m.series.values()) {
+          if (m.type !== "histogram") { out.push(`${m.name}${labelText(s.labels)} ${num(s.value)}`); continue; }
+          m.buckets.forEach((b, i) => out.push(`${m.name}_bucket${labelText({ ...s.labels, le: b })} ${s.counts[i]}`));
+          out.push(`${m.name}_bucket${labelText({ ...s.labels, le: "+Inf" })} ${s.count}`);
+          out.push(`${m.name}_sum${labelText(s.labels)} ${num(s.sum)}`, `${m.name}_count${labelText(s.labels)} ${s.count}`);
+        }
+      }
+      return out.join("\n") + "\n";
+    }
+  };
+}
+
+// TRACE-derived metrics. update() folds only rows appended since the last call (by seq), so a scrape
+// reads the whole ledger once and then just its tail; rows are labelled with their run's mode from plan/start.
+export function createTraceCollector(registry) {
+  const runs = registry.counter("nstar_runs_total", "Finished kernel runs by decision and mode");
+  const gamma = registry.histogram("nstar_gamma", "γ measured at the gate, by mode", GAMMA_BUCKETS);
+  const gateFailures = registry.counter("nstar_gate_failures_total", "Failed gate rows by gate (gamma, cost) and mode");
+  const applyFailures = registry.counter("nstar_patch_apply_failures_total", "Patches that failed to apply, by mode");
+  const spendTotal = registry.counter("nstar_spend_gbp_total", "Recorded spend in GBP (cost/spend rows)");
+  const spendDaily = registry.gauge("nstar_spend_gbp", `Recorded spend in GBP per UTC day, last ${SPEND_DAYS} days`);
+  const modes = new Map();
+  const byDay = new Map();
+  let lastSeq = -1, lastTs = null;
+
+  function fold(r) {
+    if (r.phase === "plan" && r.step === "start") modes.set(r.run_id, r.extra?.mode ?? "unknown");
+    const mode = modes.get(r.run_id) ?? "unknown";
+    if (r.phase === "gate" && r.ok === false) gateFailures.inc({ gate: r.step, mode });
+    if (r.phase === "gate" && r.step === "gamma" && typeof r.extra?.gamma === "number") gamma.observe({ mode }, r.extra.gamma);
+    if (r.phase === "patch" && r.step === "apply" && r.ok === false) applyFailures.inc({ mode });
+    if (r.phase === "cost" && r.step === "spend") {
+      const gbp = Number(r.extra?.gbp) || 0;
+      spendTotal.inc({}, gbp);
+      const day = r.ts.slice(0, 10);
+      byDay.set(day, (byDay.get(day) || 0) + gbp);
+    }
+    if (r.phase === "done" && r.step === "end") {
+      runs.inc({ decision: r.extra?.decision ?? "unknown", mode });
+      modes.delete(r.run_id);
+    }
+  }
+
+  return {
+    update(now = Date.now()) {
+      for (const r of readTrace(lastTs ? { since: lastTs } : {})) {
+        if (Number.isInteger(r.seq)) {
+          if (r.seq <= lastSeq) continue;
+          lastSeq = r.seq;
+        } else if (lastTs) continue; // pre-chain rows are a leading prefix, folded on the first read
+        fold(r);
+        lastTs = r.ts;
+      }
+      spendDaily.clear();
+      for (let i = SPEND_DAYS - 1; i >= 0; i--) {
+        const day = new Date(now - i * 86400e3).toISOString().slice(0, 10);
+        spendDaily.set({ day }, byDay.get(day) || 0);
+      }
+      for (const day of byDay.keys()) if (day < new Date(now - SPEND_DAYS * 86400e3).toISOString().slice(0, 10)) byDay.delete(day);
+    }
+  };
+}
+export default { createRegistry, createTraceCollector, GAMMA_BUCKETS, DURATION_BUCKETS };
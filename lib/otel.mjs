@@ -0,0 +1,153 @@
+// OpenTelemetry export: TRACE rows as OTLP/JSON spans. Each run is a trace (trace ID derived from run_id),
+// with a root span for the run and one child span per row, lasting from the run's previous row to this one.
+// IDs are deterministic, so live and batch exports of the same rows produce the same spans.
+// Sinks: a file (one OTLP/JSON request per line) and/or an OTLP/HTTP collector (POST <endpoint>/v1/traces).
+// Env: OTEL_EXPORTER_OTLP_ENDPOINT, NSTAR_OTLP_FILE, NSTAR_OTLP_LIVE=1; or "otel" in nstar.config.json.
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { gateValues } from "./runs.mjs";
+
+const ROOT = process.cwd();
+const SCOPE = { name: "nstar.trace", version: "1" };
+
+export function otelConfig() {
+  let o = {};
+  try { o = JSON.parse(fs.readFileSync(path.join(ROOT, "nstar.config.json"), "utf8")).otel || {}; } catch {}
+  return {
+    endpoint: process.env.OTEL_EXPORTER_OTLP_ENDPOINT || o.endpoint || "",
+    file: process.env.NSTAR_OTLP_FILE || o.file || "",
+    headers: o.headers || {},
+    live: process.env.NSTAR_OTLP_LIVE ? process.env.NSTAR_OTLP_LIVE === "1" : Boolean(o.live),
+    service: o.service || "nstar"
+  };
+}
+
+const hex = (s, n) => crypto.createHash("sha256").update(s).digest("hex").slice(0, n);
+export const traceIdOf = (run_id) => hex(`trace:${run_id}`, 32);
+const rootSpanId = (run_id) => hex(`root:${run_id}`, 16);
+const rowSpanId = (run_id, row) => hex(`row:${run_id}:${row.seq ?? row.ts}:${row.phase}/${row.step}`, 16);
+const nanos = (ts) => `${BigInt(Date.parse(ts)) * 1000000n}`;
+
+function attr(key, value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === "boolean") return { key, value: { boolValue: value } };
+  if (Number.isInteger(value)) return { key, value: { intValue: String(value) } };
+  if (typeof value === "number") return { key, value: { doubleValue: value } };
+  return { key, value: { stringValue: String(value) } };
+}
+const attrs = (o) => Object.entries(o).map(([k, v]) => attr(k, v)).filter(Boolean);
+
+// Per-run state carried between rows: start, previous row time, mode, totals for the root span.
+export function createSpanBuilder() {
+  const runs = new Map();
+
+  function rowSpan(row) {
+    const run_id = row.run_id;
+    if (!runs.has(run_id)) runs.set(run_id, { start: row.ts, prev: row.ts, mode: null, goal: null, gamma: null, threshold: null, cost: 0 });
+    const run = runs.get(run_id);
+    if (row.phase === "plan" && row.step === "start") { run.start = row.ts; run.mode = row.extra?.mode ?? null; run.goal = row.note ?? null; }
+    const a = {
+      "nstar.run_id": run_id, "nstar.phase": row.phase, "nstar.step": row.step, "nstar.step_index": row.step_index,
+      "nstar.seq": row.seq, "nstar.mode": run.mode, "nstar.note": row.note
+    };
+    if (row.phase === "gate" && row.step === "gamma") {
+      const { gamma, threshold } = gateValues(row);
+      Object.assign(a, { "nstar.gamma": gamma, "nstar.threshold": threshold });
+      run.gamma = gamma; run.threshold = threshold;
+    }
+    if (row.phase === "cost" && row.step === "spend") { a["nstar.cost_gbp"] = row.extra?.gbp; run.cost += Number(row.extra?.gbp) || 0; }
+    if (row.phase === "cost" && row.step === "estimate") a["nstar.cost_estimate_gbp"] = row.extra?.gbp;
+    const span = {
+      traceId: traceIdOf(run_id),
+      spanId: rowSpanId(run_id, row),
+      parentSpanId: rootSpanId(run_id),
+      name: `${row.phase}/${row.step}`,
+      kind: 1,
+      startTimeUnixNano: nanos(run.prev),
+      endTimeUnixNano: nanos(row.ts),
+      attributes: attrs(a),
+      status: { code: row.ok === false ? 2 : 1 }
+    };
+    run.prev = row.ts;
+    return span;
+  }
+
+  function rootSpan(row) {
+    const run = runs.get(row.run_id);
+    runs.delete(row.run_id);
+    return {
+      traceId: traceIdOf(row.run_id),
+      spanId: rootSpanId(row.run_id),
+      name: run.goal ? `nstar run: ${run.goal}` : "nstar run",
+      kind: 1,
+      startTimeUnixNano: nanos(run.start),
+      endTimeUnixNano: nanos(row.ts),
+      attributes: attrs({
+        "nstar.run_id": row.run_id, "nstar.mode": run.mode, "nstar.goal": run.goal, "nstar.decision": row.extra?.decision,
+        "nstar.stop": row.note, "nstar.steps": row.extra?.steps, "nstar.gamma": run.gamma, "nstar.threshold": run.threshold,
+        "nstar.cost_gbp": row.extra?.spent_gbp ?? +run.cost.toFixed(6)
+      }),
+      status: { code: row.ok === false ? 2 : 1 }
+    };
+  }
+
+  // Spans for one row: its own span, plus the run's root span once done/end closes the run.
+  return (row) => {
+    if (!row?.run_id || !row.ts) return [];
+    const spans = [rowSpan(row)];
+    if (row.phase === "done" && row.step === "end") spans.push(rootSpan(row));
+    return spans;
+  };
+}
+
+export function toOtlp(spans, { service = "nstar" } = {}) {
+  return { resourceSpans: [{ resource: { attributes: attrs({ "service.name": service }) }, scopeSpans: [{ scope: SCOPE, spans }] }] };
+}
+
+export function createSpanSink({ endpoint, file, headers = {}, service = "nstar" } = otelConfig()) {
+  if (!endpoint && !file) throw new Error("no OTLP sink: set OTEL_EXPORTER_OTLP_ENDPOINT / NSTAR_OTLP_FILE or otel.endpoint / otel.file");
+  const url = endpoint && (/\/v1\/traces\/?$/.test(endpoint) ? endpoint : `${endpoint.replace(/\/$/, "")}/v1/traces`);
+  return {
+    url, file,
+    async send(spans) {
+      if (spans.length === 0) return;
+      const body = JSON.stringify(toOtlp(spans, { service }));
+      if (file) {
+        fs.mkdirSync(path.dirname(path.resolve(ROOT, file)), { recursive: true });
+        fs.appendFileSync(path.resolve(ROOT, file), body + "\n");
+      }
+      if (url) {
+        const res = await fetch(url, { method: "POST", headers: { "Content-Type": "application/json", ...headers }, body });
+        if (!res.ok) throw new Error(`OTLP collector error ${res.status}: ${await res.text()}`);
+      }
+    }
+  };
+}
+
+// Batch: every span for `rows` (oldest first), sent in chunks.
+export async function exportSpans(rows, sink = createSpanSink(), { batch = 512 } = {}) {
+  const build = createSpanBuilder();
+  const spans = rows.flatMap(build);
+  for (let i = 0; i < spans.length; i += batch) await sink.send(spans.slice(i, i + batch));
+  return { rows: rows.length, spans: spans.length, runs: new Set(spans.map(s => s.traceId)).size };
+}
+
+// Live: feed rows as they land (in seq order); the builder keeps per-run state between calls.
+export function createLiveExporter(sink = createSpanSink()) {
+  const build = createSpanBuilder();
+  let lastSeq = null;
+  return {
+    get lastSeq() { return lastSeq; },
+    start(seq) { lastSeq = seq ?? null; },
+    async push(rows) {
+      const fresh = rows.filter(r => lastSeq === null || (Number.isInteger(r.seq) && r.seq > lastSeq));
+      if (fresh.length === 0) return 0;
+      lastSeq = fresh.at(-1).seq ?? lastSeq;
+      const spans = fresh.flatMap(build);
+      await sink.send(spans);
+      return spans.length;
+    }
+  };
+}
+export default { otelConfig, createSpanBuilder, toOtlp, createSpanSink, exportSpans, createLiveExporter, traceIdOf };
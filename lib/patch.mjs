@@ -0,0 +1,234 @@
+// Patch envelope: parse "*** Begin Patch" blocks and render them as unified diffs for git apply.
+//   *** Add File: <path>       + lines only
+//   *** Delete File: <path>
+//   *** Update File: <path>    optional "*** Move to: <path>", then @@ hunks (" ", "-", "+"), optional "*** End of File"
+import fs from "fs";
+import path from "path";
+
+const BEGIN = "*** Begin Patch";
+const END = "*** End Patch";
+
+function fail(lineNo, msg) {
+  const e = new Error(`patch line ${lineNo}: ${msg}`);
+  e.line = lineNo;
+  return e;
+}
+
+function checkPath(p, lineNo) {
+  if (!p) throw fail(lineNo, "missing file path");
+  if (path.isAbsolute(p) || p.split(/[\\/]/).includes("..")) throw fail(lineNo, `path must be repo-relative: ${p}`);
+  return p;
+}
+
+export function parsePatch(text) {
+  const lines = text.replace(/\r/g, "").split("\n");
+  // Trailing blank lines end the text, not an Add File body or a hunk
+  while (lines.length && lines.at(-1).trim() === "") lines.pop();
+  let i = lines.findIndex(l => l.trim() === BEGIN);
+  if (i === -1) throw fail(1, `expected "${BEGIN}"`);
+  i++;
+  const ops = [];
+  let ended = false;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const no = i + 1;
+    if (line.trim() === END) { ended = true; break; }
+
+    if (line.startsWith("*** Add File: ")) {
+      const op = { type: "add", path: checkPath(line.slice(14).trim(), no), lines: [] };
+      i++;
+      while (i < lines.length && !lines[i].startsWith("*** ")) {
+        if (!lines[i].startsWith("+")) throw fail(i + 1, `Add File lines must start with "+", got ${JSON.stringify(lines[i])}`);
+        op.lines.push(lines[i].slice(1));
+        i++;
+      }
+      ops.push(op);
+      continue;
+    }
+
+    if (line.startsWith("*** Delete File: ")) {
+      ops.push({ type: "delete", path: checkPath(line.slice(17).trim(), no) });
+      i++;
+      continue;
+    }
+
+    if (line.startsWith("*** Update File: ")) {
+      const op = { type: "update", path: checkPath(line.slice(17).trim(), no), moveTo: null, chunks: [] };
+      i++;
+      if (lines[i]?.startsWith("*** Move to: ")) { op.moveTo = checkPath(lines[i].slice(13).trim(), i + 1); i++; }
+      let chunk = null;
+      while (i < lines.length) {
+        const l = lines[i];
+        if (l === "*** End of File") {
+          if (!chunk) throw fail(i + 1, `"*** End of File" outside a hunk`);
+          chunk.eof = true;
+          i++;
+          continue;
+        }
+        if (l.startsWith("*** ")) break;
+        if (l.startsWith("@@")) {
+          chunk = { header: l.slice(2).trim(), old: [], new: [], eof: false, line: i + 1 };
+          op.chunks.push(chunk);
+        } else {
+          if (!chunk) throw fail(i + 1, `expected "@@" hunk header in ${op.path}`);
+          const tag = l[0] ?? " ";
+          const body = l.slice(1);
+          if (tag === " ") { chunk.old.push(body); chunk.new.push(body); }
+          else if (tag === "-") chunk.old.push(body);
+          else if (tag === "+") chunk.new.push(body);
+          else throw fail(i + 1, `hunk lines must start with " ", "-" or "+", got ${JSON.stringify(l)}`);
+        }
+        i++;
+      }
+      if (op.chunks.length === 0 && !op.moveTo) throw fail(no, `Update File ${op.path} has no hunks`);
+      ops.push(op);
+      continue;
+    }
+
+    if (line.trim() === "") { i++; continue; }
+    throw fail(no, `unexpected line ${JSON.stringify(line)}`);
+  }
+  if (!ended) throw fail(lines.length, `missing "${END}"`);
+  return ops;
+}
+
+function splitLines(content) {
+  const lines = content.split("\n");
+  const eol = content.endsWith("\n");
+  if (eol) lines.pop();
+  return { lines, noEol: !eol && content.length > 0 };
+}
+
+function findSeq(lines, seq, from, eof) {
+  if (eof) {
+    const at = lines.length - seq.length;
+    return at >= from && seq.every((s, k) => lines[at + k] === s) ? at : -1;
+  }
+  for (const norm of [s => s, s => s.trimEnd(), s => s.trim()]) {
+    for (let at = from; at + seq.length <= lines.length; at++) {
+      if (seq.every((s, k) => norm(lines[at + k]) === norm(s))) return at;
+    }
+  }
+  return -1;
+}
+
+function range(start, len) {
+  // Unified diff convention: an empty range names the line before it
+  return len === 0 ? `${start - 1},0` : `${start},${len}`;
+}
+
+const CONTEXT = 3;
+
+// Locate each chunk in the file and reduce it to the lines it really changes: { start, end, repl } over `lines`.
+function locateEdits(op, lines, noEol) {
+  let cursor = 0;
+  const edits = [];
+  for (const c of op.chunks) {
+    if (c.header) {
+      const h = findSeq(lines, [c.header], cursor, false);
+      if (h === -1) throw fail(c.line, `context "@@ ${c.header}" not found in ${op.path}`);
+      cursor = h + 1;
+    }
+    let at;
+    if (c.old.length === 0) {
+      // Pure insertion: after the header line if given, otherwise at end of file
+      at = c.header ? cursor : lines.length;
+    } else {
+      at = findSeq(lines, c.old, cursor, c.eof);
+      if (at === -1) throw fail(c.line, `hunk context not found in ${op.path}:\n${c.old.map(s => "  " + s).join("\n")}`);
+    }
+    let start = at, end = at + c.old.length, repl = c.new;
+    while (start < end && repl.length && lines[start] === repl[0]) { start++; repl = repl.slice(1); }
+    while (start < end && repl.length && lines[end - 1] === repl.at(-1)) { end--; repl = repl.slice(0, -1); }
+    cursor = at + c.old.length;
+    if (start === end && repl.length === 0) continue;
+    // A last line without newline stays context only if it is still last; appending after it rewrites it
+    if (noEol && end === lines.length && start === end) { start--; repl = [lines[start], ...repl]; }
+    edits.push({ start, end, repl });
+  }
+  return edits;
+}
+
+// Unified hunks with up to CONTEXT lines of real surrounding context, so git apply accepts them without
+// --unidiff-zero; edits whose context would overlap share a hunk.
+function renderHunks(op, orig) {
+  const { lines, noEol } = splitLines(orig);
+  const groups = [];
+  for (const e of locateEdits(op, lines, noEol)) {
+    const g = groups.at(-1);
+    if (g && e.start - g.at(-1).end <= 2 * CONTEXT) g.push(e);
+    else groups.push([e]);
+  }
+  const out = [];
+  let delta = 0;
+  for (const g of groups) {
+    const from = Math.max(0, g[0].start - CONTEXT);
+    const to = Math.min(lines.length, g.at(-1).end + CONTEXT);
+    const body = [];
+    const context = (k) => {
+      body.push(" " + lines[k]);
+      if (noEol && k === lines.length - 1) body.push("\\ No newline at end of file");
+    };
+    let k = from, added = 0;
+    for (const e of g) {
+      for (; k < e.start; k++) context(k);
+      for (; k < e.end; k++) body.push("-" + lines[k]);
+      if (noEol && e.end === lines.length && e.end > e.start) body.push("\\ No newline at end of file");
+      body.push(...e.repl.map(l => "+" + l));
+      added += e.repl.length - (e.end - e.start);
+    }
+    for (; k < to; k++) context(k);
+    const oldLen = to - from;
+    out.push(`@@ -${range(from + 1, oldLen)} +${range(from + 1 + delta, oldLen + added)} @@`, ...body);
+    delta += added;
+  }
+  return out;
+}
+
+// Convert a Begin/End Patch block into a unified diff. Plain unified diffs pass through.
+// `cwd` is where files referenced by Update/Delete are read from.
+export function toUnified(patchBlock, { cwd = process.cwd() } = {}) {
+  const text = patchBlock.replace(/\r/g, "");
+  if (!text.includes(BEGIN)) return text;
+  const read = (p) => {
+    const full = path.join(cwd, p);
+    if (!fs.existsSync(full)) throw new Error(`patch: ${p} does not exist`);
+    return fs.readFileSync(full, "utf8");
+  };
+  const out = [];
+  for (const op of parsePatch(text)) {
+    if (op.type === "add") {
+      if (fs.existsSync(path.join(cwd, op.path))) throw new Error(`patch: Add File ${op.path} already exists`);
+      out.push(`diff --git a/${op.path} b/${op.path}`, "new file mode 100644", "--- /dev/null", `+++ b/${op.path}`);
+      if (op.lines.length) out.push(`@@ -0,0 +${range(1, op.lines.length)} @@`, ...op.lines.map(l => "+" + l));
+    } else if (op.type === "delete") {
+      const { lines, noEol } = splitLines(read(op.path));
+      out.push(`diff --git a/${op.path} b/${op.path}`, "deleted file mode 100644", `--- a/${op.path}`, "+++ /dev/null");
+      if (lines.length) {
+        out.push(`@@ -${range(1, lines.length)} +0,0 @@`, ...lines.map(l => "-" + l));
+        if (noEol) out.push("\\ No newline at end of file");
+      }
+    } else {
+      const hunks = renderHunks(op, read(op.path));
+      const dest = op.moveTo || op.path;
+      if (op.moveTo && fs.existsSync(path.join(cwd, dest))) throw new Error(`patch: Move to ${dest} already exists`);
+      out.push(`diff --git a/${op.path} b/${dest}`);
+      if (op.moveTo) out.push(`rename from ${op.path}`, `rename to ${dest}`);
+      if (hunks.length) out.push(`--- a/${op.path}`, `+++ b/${dest}`, ...hunks);
+    }
+  }
+  return out.join("\n") + "\n";
+}
+
+// Repo-relative paths a patch touches (both sides of a move).
+export function patchFiles(patchBlock) {
+  const text = patchBlock.replace(/\r/g, "");
+  if (text.includes(BEGIN)) {
+    return [...new Set(parsePatch(text).flatMap(op => op.moveTo ? [op.path, op.moveTo] : [op.path]))];
+  }
+  const files = new Set();
+  for (const m of text.matchAll(/^(?:---|\+\+\+) (?:[ab]\/)?(.+)$/gm)) if (m[1] !== "/dev/null") files.add(m[1]);
+  return [...files];
+}
+export default { parsePatch, toUnified, patchFiles };
@@ -1,29 +1,208 @@
+// Policy: policy/gamma.json, cost.json and pricing.json, validated against schema/policy-<name>.v1.json.
+// The exported configs are live bindings: reloadPolicy() validates all three files and swaps them in together,
+// or keeps the last good set when any is invalid. watchPolicy() reloads on change and records it in TRACE.
 import fs from "fs";
 import path from "path";
+import crypto from "crypto";
+import { matchesGlob } from "./glob.mjs";
+import { loadSchema, validate } from "./schema.mjs";
+import { appendTrace } from "./ledger.mjs";
 
 const ROOT = process.cwd();
+const FILES = { gamma: "policy/gamma.json", cost: "policy/cost.json", pricing: "policy/pricing.json" };
 
-function readJson(p, fallback) {
-  try { return JSON.parse(fs.readFileSync(path.join(ROOT, p), "utf8")); }
-  catch { return fallback; }
-}
-
-const gammaCfg = readJson("policy/gamma.json", {
-  weights:{tests_pass:0.4,retrieval_cited:0.25,cost_ok:0.2,diff_tiny:0.15},
-  thresholds:{safe:0.6,fast:0.5,cheap:0.4}
-});
-const costCfg  = readJson("policy/cost.json", { per_run_gbp: 3.0, per_day_gbp: 25.0 });
-
-export function gammaScore(e) {
-  const w = gammaCfg.weights;
-  const v = {
-    tests_pass: e.tests_pass?1:0,
-    retrieval_cited: e.retrieval_cited?1:0,
-    cost_ok: e.cost_ok?1:0,
-    diff_tiny: e.diff_tiny?1:0
-  };
-  return +(w.tests_pass*v.tests_pass + w.retrieval_cited*v.retrieval_cited + w.cost_ok*v.cost_ok + w.diff_tiny*v.diff_tiny).toFixed(3);
-}
-export function gammaThreshold(mode="fast") { return gammaCfg.thresholds[mode] ?? gammaCfg.thresholds.fast; }
-export function costGate(estimated) { return { ok: estimated <= costCfg.per_run_gbp, cap: costCfg.per_run_gbp }; }
-export { gammaCfg, costCfg };
+// Built-in policy for files that don't exist; `ensureSeeds` writes these as the seed files
+export const DEFAULTS = {
+  gamma: {
+    weights:{tests_pass:0.4,retrieval_cited:0.25,cost_ok:0.2,diff_tiny:0.15},
+    signals:{tests_pass:{normalize:"ratio"},retrieval_cited:{normalize:"ratio"},cost_ok:{normalize:"bool"},diff_tiny:{normalize:"bool"},
+             diff_size:{from:"diff_lines",normalize:"budget",budget:50},coverage_delta:{normalize:"linear",min:-5,max:5,default:0.5}},
+    thresholds:{safe:0.6,fast:0.5,cheap:0.4},
+    overrides:[],
+    vetoes:{"*":[{rule:"no_policy_edits",paths:["policy/**"]}],safe:[{rule:"tests_must_pass",signal:"tests_pass",min:1}]},
+    diff_budget:{files:3,lines:50}
+  },
+  cost: { per_run_gbp: 3.0, per_day_gbp: 25.0 },
+  pricing: {
+    currency: "GBP", expected_completion_tokens: 800,
+    per_1k_tokens: { default: { prompt: 0.002, completion: 0.008 } }
+  }
+};
+
+// Checks the schema can't express
+function semanticErrors(name, cfg) {
+  if (name !== "gamma") return [];
+  const errors = [];
+  for (const [signal, spec] of Object.entries(cfg.signals || {})) {
+    if (spec.normalize === "linear" && !((spec.max ?? 1) > (spec.min ?? 0))) errors.push(`signals.${signal}: linear needs max > min`);
+    if (spec.normalize === "budget" && !(spec.budget > 0)) errors.push(`signals.${signal}: budget needs budget > 0`);
+  }
+  for (const [mode, rules] of Object.entries(cfg.vetoes || {})) {
+    rules.forEach((rule, i) => { if (!rule.signal && !rule.paths) errors.push(`vetoes.${mode}[${i}]: needs signal or paths`); });
+  }
+  return errors;
+}
+
+// Problems with a policy object (name: gamma | cost | pricing)
+export function validatePolicy(name, cfg) {
+  const errors = validate(loadSchema(`policy-${name}.v1`), cfg);
+  return errors.length ? errors : semanticErrors(name, cfg);
+}
+
+// Read and check every policy file; missing files use DEFAULTS. version hashes the file contents.
+function readPolicy() {
+  const cfg = {}, errors = [];
+  const hash = crypto.createHash("sha256");
+  for (const [name, file] of Object.entries(FILES)) {
+    let text = null;
+    try { text = fs.readFileSync(path.join(ROOT, file), "utf8"); } catch {}
+    hash.update(`${file}\0${text ?? ""}\0`);
+    if (text === null) { cfg[name] = DEFAULTS[name]; continue; }
+    try { cfg[name] = JSON.parse(text); }
+    catch (e) { errors.push(`${file}: ${e.message}`); continue; }
+    const problems = validatePolicy(name, cfg[name]);
+    if (problems.length) { errors.push(...problems.map(m => `${file}: ${m}`)); delete cfg[name]; }
+  }
+  return { cfg, errors, version: hash.digest("hex").slice(0, 12) };
+}
+
+let gammaCfg, costCfg, pricingCfg;
+let active = { version: null, loaded_at: null, errors: [] };
+
+export function reloadPolicy() {
+  const next = readPolicy();
+  if (next.errors.length) {
+    active = { ...active, rejected: { version: next.version, at: new Date().toISOString(), errors: next.errors } };
+    return { ok: false, version: active.version, rejected: next.version, errors: next.errors };
+  }
+  const previous = active.version;
+  ({ gamma: gammaCfg, cost: costCfg, pricing: pricingCfg } = next.cfg);
+  active = { version: next.version, loaded_at: new Date().toISOString(), errors: [] };
+  return { ok: true, version: next.version, previous, changed: previous !== next.version };
+}
+
+export function policyVersion() { return active; }
+
+// At startup there is no last good set to keep: invalid files fall back to DEFAULTS one by one
+function bootPolicy() {
+  if (reloadPolicy().ok) return;
+  const { cfg, errors, version } = readPolicy();
+  ({ gamma: gammaCfg = DEFAULTS.gamma, cost: costCfg = DEFAULTS.cost, pricing: pricingCfg = DEFAULTS.pricing } = cfg);
+  active = { version: `${version}-defaults`, loaded_at: new Date().toISOString(), errors };
+  console.error(`policy: invalid, using built-in defaults for the affected files:\n  ${errors.join("\n  ")}`);
+}
+bootPolicy();
+
+// Reload when a policy file changes (debounced: editors write in several steps). Each reload that changes
+// the active version or is rejected writes a policy/reload TRACE row and is passed to onReload.
+export function watchPolicy({ run_id = "policy", onReload = () => {}, debounceMs = 150 } = {}) {
+  const names = new Set(Object.values(FILES).map(f => path.basename(f)));
+  let timer = null;
+  return fs.watch(path.join(ROOT, "policy"), (event, file) => {
+    if (file && !names.has(file)) return;
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const res = reloadPolicy();
+      if (res.ok && !res.changed) return;
+      appendTrace({ run_id, phase: "policy", step: "reload", ok: res.ok,
+                    note: res.ok ? `active ${res.version}` : `rejected ${res.rejected}; keeping ${res.version}`, extra: res });
+      onReload(res);
+    }, debounceMs);
+  });
+}
+
+// Signal normalizers: map a raw evidence value onto 0..1. Declared per signal in gamma.json "signals"
+// ({normalize, from?, default?, ...params}); undeclared signals are read as ratios.
+const clamp = (v) => Math.min(1, Math.max(0, v));
+export const NORMALIZERS = {
+  bool: (v) => v ? 1 : 0,
+  ratio: (v) => clamp(Number(v)),
+  step: (v, { min = 1 }) => Number(v) >= min ? 1 : 0,
+  linear: (v, { min = 0, max = 1 }) => clamp((Number(v) - min) / (max - min)),
+  budget: (v, { budget }) => clamp(1 - Number(v) / budget)
+};
+
+export function normalizeSignal(name, e, cfg = gammaCfg) {
+  const spec = cfg.signals?.[name] || {};
+  const fn = NORMALIZERS[spec.normalize || "ratio"];
+  if (!fn) throw new Error(`signal ${name}: unknown normalize "${spec.normalize}" (${Object.keys(NORMALIZERS).join("|")})`);
+  const raw = e[spec.from || name];
+  // Signals the evidence doesn't carry (coverage without a coverage report) score their default
+  if (raw === undefined || raw === null || Number.isNaN(Number(raw))) return spec.default ?? 0;
+  return fn(typeof raw === "boolean" ? Number(raw) : raw, spec);
+}
+
+// γ with its working: γ = Σ weight × normalized signal over every weighted signal, each signal's raw value,
+// normalized value, weight and contribution, the vetoes that fired for `mode` and `files`, and the cost gate
+// (the costGate result, when given). `pass` is the gate (γ ≥ threshold, no veto); `reasons` says what held the
+// attempt back. cfg defaults to policy/gamma.json; `policy simulate` passes a candidate instead.
+export function gammaScore(e, cfg = gammaCfg, { mode = "fast", files, cost } = {}) {
+  let total = 0;
+  const signals = Object.entries(cfg.weights).map(([name, weight]) => {
+    const normalized = normalizeSignal(name, e, cfg);
+    total += weight * normalized;
+    return { signal: name, raw: e[cfg.signals?.[name]?.from || name] ?? null, normalized: +normalized.toFixed(3),
+             weight, contribution: +(weight * normalized).toFixed(3) };
+  });
+  const gamma = +total.toFixed(3);
+  const threshold = gammaThreshold(mode, cfg);
+  const vetoes = checkVetoes(e, { mode, files }, cfg);
+  const pass = vetoes.length === 0 && gamma >= threshold;
+  const reasons = [];
+  if (gamma < threshold) reasons.push(`γ ${gamma} < ${threshold} (${mode})`);
+  for (const v of vetoes) reasons.push(`veto ${v.rule}: ${v.reason}`);
+  if (cost && !cost.run_ok) reasons.push(`cost over the per-run cap £${cost.cap}`);
+  return { gamma, threshold, mode, pass, signals, vetoes, cost: cost ?? null, reasons };
+}
+
+// Veto rules fail an attempt whatever its γ. gamma.json "vetoes" maps a mode (or "*" for every mode) to rules:
+// {rule, signal, min?, max?} bounds a raw evidence value (a missing value fails), {rule, paths:[globs]} forbids
+// touching matching files. Path rules are skipped when the touched files aren't known (older TRACE rows).
+export function checkVetoes(e, { mode = "fast", files } = {}, cfg = gammaCfg) {
+  const failed = [];
+  for (const rule of [...(cfg.vetoes?.["*"] || []), ...(cfg.vetoes?.[mode] || [])]) {
+    const name = rule.rule || rule.signal || "veto";
+    if (rule.signal) {
+      const v = e[rule.signal];
+      if (typeof v !== "number" && typeof v !== "boolean") failed.push({ rule: name, reason: `${rule.signal} missing` });
+      else if (rule.min !== undefined && Number(v) < rule.min) failed.push({ rule: name, reason: `${rule.signal} ${Number(v)} < ${rule.min}` });
+      else if (rule.max !== undefined && Number(v) > rule.max) failed.push({ rule: name, reason: `${rule.signal} ${Number(v)} > ${rule.max}` });
+    }
+    if (rule.paths && files) {
+      const hit = files.filter(f => matchesGlob(f, rule.paths));
+      if (hit.length) failed.push({ rule: name, reason: `touches ${hit.join(", ")}` });
+    }
+  }
+  return failed;
+}
+
+export function gammaThreshold(mode="fast", cfg = gammaCfg) { return cfg.thresholds[mode] ?? cfg.thresholds.fast; }
+// `estimated` is spend not yet in the ledger; `runSpent` is what this run has already recorded, which
+// spentToday includes, so it counts towards the per-run cap only. cost defaults to policy/cost.json;
+// path overrides pass the resolved caps
+export function costGate(estimated, spentToday = 0, cost = costCfg, runSpent = 0) {
+  const run_ok = runSpent + estimated <= cost.per_run_gbp;
+  const day_ok = spentToday + estimated <= cost.per_day_gbp;
+  return { ok: run_ok && day_ok, run_ok, day_ok, cap: cost.per_run_gbp, day_cap: cost.per_day_gbp,
+           spent_today: spentToday, remaining_today: +Math.max(0, cost.per_day_gbp - spentToday).toFixed(4) };
+}
+
+// Path-scoped overrides: gamma.json "overrides" is a list of {name?, paths:[globs], thresholds?, weights?,
+// diff_budget?, cost?: {per_run_gbp?, per_day_gbp?}, intent_only?}. Every override matching a touched file
+// applies; when several do, the strictest wins (highest threshold, lowest cap, smallest budget, intent_only
+// if any says so) and weights merge in declaration order.
+export function resolvePolicy(files = [], { gamma = gammaCfg, cost = costCfg } = {}) {
+  const matched = (gamma.overrides || []).filter(o => files.some(f => matchesGlob(f, o.paths || [])));
+  const cfg = { ...gamma, thresholds: { ...gamma.thresholds }, weights: { ...gamma.weights }, diff_budget: { ...gamma.diff_budget } };
+  const caps = { ...cost };
+  let intent_only = false;
+  for (const o of matched) {
+    for (const [mode, t] of Object.entries(o.thresholds || {})) cfg.thresholds[mode] = Math.max(t, cfg.thresholds[mode] ?? 0);
+    Object.assign(cfg.weights, o.weights);
+    for (const [k, v] of Object.entries(o.diff_budget || {})) cfg.diff_budget[k] = Math.min(v, cfg.diff_budget[k] ?? v);
+    for (const [k, v] of Object.entries(o.cost || {})) caps[k] = Math.min(v, caps[k] ?? v);
+    intent_only ||= Boolean(o.intent_only);
+  }
+  return { gamma: cfg, cost: caps, intent_only, overrides: matched.map(o => o.name || o.paths.join(",")) };
+}
+export { gammaCfg, costCfg, pricingCfg };
@@ -0,0 +1,98 @@
+// Kernel LLM providers: send the plan + resolved context to a model, get a patch back.
+// Env: NSTAR_PROVIDER (openai|replay), OPENAI_API_KEY, OPENAI_MODEL, OPENAI_BASE_URL, NSTAR_REPLAY_DIR
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+const ROOT = process.cwd();
+
+export const SYSTEM_PROMPT = `You are the nstar kernel. You receive a JSON plan (goal, mode, constraints, acceptance_checks)
+and the resolved context documents it references. Produce the smallest change that achieves the goal.
+Reply with ONLY one patch block in this format, no prose:
+*** Begin Patch
+*** Add File: <path>          (every line prefixed with +)
+*** Update File: <path>       (optional "*** Move to: <path>", then @@ hunks with " ", "-", "+" lines)
+*** Delete File: <path>
+*** End Patch`;
+
+export function userMessage(plan, context = []) {
+  const docs = context.map(d => `--- ${d.source || d.ref}${d.truncated ? " (truncated)" : ""}\n${d.text}`).join("\n\n");
+  return `PLAN:\n${JSON.stringify(plan, null, 2)}\n\nCONTEXT:\n${docs || "(none)"}`;
+}
+
+export function extractPatch(text) {
+  const start = text.indexOf("*** Begin Patch");
+  const end = text.indexOf("*** End Patch", start);
+  if (start !== -1 && end !== -1) return text.slice(start, end + "*** End Patch".length) + "\n";
+  // Fenced unified diff is accepted as-is
+  const fenced = text.match(/```(?:diff|patch)?\n([\s\S]*?)```/);
+  if (fenced && /^(diff --git|--- )/m.test(fenced[1])) return fenced[1];
+  if (/^(diff --git|--- )/m.test(text)) return text;
+  throw new Error("provider response contains no patch block");
+}
+
+function openaiProvider({
+  apiKey = process.env.OPENAI_API_KEY || "",
+  model = process.env.OPENAI_MODEL || "gpt-4o-mini",
+  baseURL = process.env.OPENAI_BASE_URL || "https://api.openai.com/v1",
+  temperature = 0.2
+} = {}) {
+  return {
+    name: "openai",
+    model,
+    async generate({ plan, context = [] }) {
+      const res = await fetch(`${baseURL}/chat/completions`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "Authorization": `Bearer ${apiKey}` },
+        body: JSON.stringify({
+          model,
+          temperature,
+          messages: [
+            { role: "system", content: SYSTEM_PROMPT },
+            { role: "user", content: userMessage(plan, context) }
+          ]
+        })
+      });
+      if (!res.ok) throw new Error(`OpenAI API error ${res.status}: ${await res.text()}`);
+      const data = await res.json();
+      const raw = data.choices?.[0]?.message?.content || "";
+      return { patch: extractPatch(raw), raw, model: data.model || model, usage: data.usage || null };
+    }
+  };
+}
+
+// Deterministic offline provider: replays recorded patches keyed by goal and chain step.
+// Looks for <dir>/<sha1(goal)[:12]>.<step>.patch, <dir>/<sha1(goal)[:12]>.patch, <dir>/default.patch,
+// then a built-in README touch.
+function replayProvider({ dir = process.env.NSTAR_REPLAY_DIR || path.join(ROOT, "state/replay") } = {}) {
+  return {
+    name: "replay",
+    model: "replay",
+    async generate({ plan }) {
+      const key = crypto.createHash("sha1").update(plan.goal || "").digest("hex").slice(0, 12);
+      for (const f of [`${key}.${plan.step_index ?? 0}.patch`, `${key}.patch`, "default.patch"]) {
+        const p = path.join(dir, f);
+        if (fs.existsSync(p)) {
+          const raw = fs.readFileSync(p, "utf8");
+          return { patch: extractPatch(raw), raw, model: "replay", usage: null, source: p };
+        }
+      }
+      const raw = fs.existsSync(path.join(ROOT, "README.md"))
+        ? `*** Begin Patch\n*** Update File: README.md\n@@\n+\n+<!-- updated by nstar -->\n*** End Patch\n`
+        : `*** Begin Patch\n*** Add File: README.md\n+# Project\n+\n+Initialized by nstar loop.\n*** End Patch\n`;
+      return { patch: raw, raw, model: "replay", usage: null, source: "builtin" };
+    }
+  };
+}
+
+const PROVIDERS = { openai: openaiProvider, replay: replayProvider };
+
+export function createProvider(name, opts = {}) {
+  name ||= process.env.NSTAR_PROVIDER || (process.env.OPENAI_API_KEY ? "openai" : "replay");
+  const make = PROVIDERS[name];
+  if (!make) throw new Error(`unknown provider: ${name} (expected ${Object.keys(PROVIDERS).join("|")})`);
+  return make(opts);
+}
+// Full prompt text as sent to the model, for token counting.
+export const promptText = (plan, context) => `${SYSTEM_PROMPT}\n\n${userMessage(plan, context)}`;
+export default { createProvider, extractPatch, promptText };
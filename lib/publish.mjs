@@ -0,0 +1,80 @@
+// PR publishers for applied intents.
+//   github      — push the branch, open a pull request on a GitHub-compatible REST API
+//                 (GITHUB_TOKEN, GITHUB_API_URL, GITHUB_REPOSITORY=owner/repo, NSTAR_GIT_REMOTE, NSTAR_BASE_BRANCH)
+//   patch-email — write a `git format-patch` series to a directory (default ops/outbox/<branch>)
+import fs from "fs";
+import path from "path";
+import { spawnSync } from "child_process";
+
+const ROOT = process.cwd();
+const git = (args, opts = {}) => spawnSync("git", args, { cwd: ROOT, encoding: "utf8", ...opts });
+const out = (proc) => (proc.stdout || "").trim();
+
+function gitOrThrow(args, what) {
+  const proc = git(args);
+  if (proc.status !== 0) throw new Error(`${what}: ${(proc.stderr || proc.stdout).trim()}`);
+  return out(proc);
+}
+
+export function repoSlug(remote) {
+  if (process.env.GITHUB_REPOSITORY) return process.env.GITHUB_REPOSITORY;
+  const url = out(git(["remote", "get-url", remote]));
+  const m = url.match(/[:/]([^/:]+)\/([^/]+?)(?:\.git)?\/?$/);
+  if (!m) throw new Error(`cannot derive owner/repo from remote ${remote} (${url || "missing"}); set GITHUB_REPOSITORY`);
+  return `${m[1]}/${m[2]}`;
+}
+
+function baseBranch(remote) {
+  if (process.env.NSTAR_BASE_BRANCH) return process.env.NSTAR_BASE_BRANCH;
+  const head = out(git(["symbolic-ref", "--short", `refs/remotes/${remote}/HEAD`]));
+  return head ? head.slice(remote.length + 1) : out(git(["rev-parse", "--abbrev-ref", "HEAD"]));
+}
+
+function githubPublisher({
+  token = process.env.GITHUB_TOKEN || "",
+  apiUrl = process.env.GITHUB_API_URL || "https://api.github.com",
+  remote = process.env.NSTAR_GIT_REMOTE || "origin"
+} = {}) {
+  return {
+    name: "github",
+    async publish(intent) {
+      gitOrThrow(["push", "--quiet", remote, `${intent.branch}:refs/heads/${intent.branch}`], `git push ${remote}`);
+      const res = await fetch(`${apiUrl.replace(/\/$/, "")}/repos/${repoSlug(remote)}/pulls`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Accept": "application/vnd.github+json",
+          ...(token ? { "Authorization": `Bearer ${token}` } : {})
+        },
+        body: JSON.stringify({ title: intent.title, body: intent.body || "", head: intent.branch, base: baseBranch(remote) })
+      });
+      if (!res.ok) throw new Error(`GitHub API error ${res.status}: ${await res.text()}`);
+      const pr = await res.json();
+      return { url: pr.html_url || pr.url, number: pr.number };
+    }
+  };
+}
+
+function patchEmailPublisher({ outDir = path.join(ROOT, "ops/outbox") } = {}) {
+  return {
+    name: "patch-email",
+    async publish(intent) {
+      const dir = path.join(outDir, intent.branch.replace(/[^A-Za-z0-9._-]/g, "-"));
+      fs.rmSync(dir, { recursive: true, force: true });
+      fs.mkdirSync(dir, { recursive: true });
+      // Everything on the branch since the intent's commit was made on top of HEAD
+      const range = intent.commit ? [`${intent.commit}~1..${intent.branch}`] : ["-1", intent.branch];
+      gitOrThrow(["format-patch", "--quiet", "-o", dir, ...range], "git format-patch");
+      return { path: path.relative(ROOT, dir) || dir, files: fs.readdirSync(dir).length };
+    }
+  };
+}
+
+const PUBLISHERS = { github: githubPublisher, "patch-email": patchEmailPublisher };
+
+export function createPublisher(name = "github", opts = {}) {
+  const make = PUBLISHERS[name];
+  if (!make) throw new Error(`unknown publisher: ${name} (expected ${Object.keys(PUBLISHERS).join("|")})`);
+  return make(opts);
+}
+export default { createPublisher, repoSlug };
@@ -0,0 +1,133 @@
+// TRACE queries: filter rows by run, phase, step, ok, time range, mode and note text; page through them
+// with opaque cursors, or group them into counts, pass rates and durations.
+import { readTrace } from "./ledger.mjs";
+
+const MAX_LIMIT = 1000;
+const UNITS = { m: 60e3, h: 3600e3, d: 86400e3 };
+
+// ISO timestamp, or a relative "30m" / "24h" / "7d" meaning that long before now.
+export function parseTime(v, now = Date.now()) {
+  if (v === undefined || v === null || v === "") return undefined;
+  const rel = String(v).match(/^(\d+)([mhd])$/);
+  const t = rel ? now - Number(rel[1]) * UNITS[rel[2]] : Date.parse(v);
+  if (Number.isNaN(t)) throw new Error(`invalid time: ${v}`);
+  return new Date(t).toISOString();
+}
+
+function parseOk(v) {
+  if (v === undefined || v === null || v === "") return undefined;
+  if (v === true || v === "true" || v === "1") return true;
+  if (v === false || v === "false" || v === "0") return false;
+  throw new Error(`invalid ok: ${v} (expected true|false)`);
+}
+
+const encodeCursor = (c) => Buffer.from(JSON.stringify(c)).toString("base64url");
+function decodeCursor(s) {
+  try {
+    const c = JSON.parse(Buffer.from(s, "base64url").toString("utf8"));
+    if (typeof c.k === "number") return c;
+  } catch {}
+  throw new Error("invalid cursor");
+}
+
+// Stable position of a row: its chain seq, with pre-chain rows (a leading prefix) numbered below zero.
+function keyed(rows) {
+  const legacy = rows.filter(r => !Number.isInteger(r.seq)).length;
+  let i = 0;
+  return rows.map(row => ({ row, key: Number.isInteger(row.seq) ? row.seq : i++ - legacy }));
+}
+
+// Run modes come from each run's plan/start row.
+function runModes(rows) {
+  const modes = new Map();
+  for (const r of rows) if (r.phase === "plan" && r.step === "start" && r.run_id) modes.set(r.run_id, r.extra?.mode ?? r.mode);
+  return modes;
+}
+
+// Duration of a row: time since the previous row of the same run (null for a run's first row).
+function durations(items) {
+  const lastTs = new Map();
+  for (const it of items) {
+    const t = Date.parse(it.row.ts);
+    const id = it.row.run_id;
+    it.duration_ms = id && lastTs.has(id) ? t - lastTs.get(id) : null;
+    if (id) lastTs.set(id, t);
+  }
+}
+
+function groupValue(field, row, modes) {
+  if (field === "day") return String(row.ts || "").slice(0, 10);
+  if (field === "hour") return String(row.ts || "").slice(0, 13);
+  if (field === "mode") return modes.get(row.run_id) ?? row.mode ?? null;
+  return row[field] ?? null;
+}
+
+function aggregate(items, fields, modes) {
+  const groups = new Map();
+  for (const it of items) {
+    const key = Object.fromEntries(fields.map(f => [f, groupValue(f, it.row, modes)]));
+    const id = JSON.stringify(key);
+    if (!groups.has(id)) groups.set(id, { key, count: 0, ok: 0, failed: 0, durations: [] });
+    const g = groups.get(id);
+    g.count++;
+    if (it.row.ok === false) g.failed++; else g.ok++;
+    if (it.duration_ms !== null) g.durations.push(it.duration_ms);
+  }
+  return [...groups.values()]
+    .sort((a, b) => JSON.stringify(Object.values(a.key)).localeCompare(JSON.stringify(Object.values(b.key))))
+    .map(({ durations: d, ...g }) => ({
+      ...g,
+      pass_rate: +(g.ok / g.count).toFixed(3),
+      duration_ms: d.length ? { total: d.reduce((s, x) => s + x, 0), avg: Math.round(d.reduce((s, x) => s + x, 0) / d.length), max: Math.max(...d) } : null
+    }));
+}
+
+// Filters: run_id, phase, step, ok, since, until, mode, note (case-insensitive substring).
+// Listing: `limit` rows per page, oldest first within a page. from=latest (default) pages back from the newest
+// match, from=earliest pages forward from the oldest; pass `next_cursor` back as `cursor` with the same filters.
+// Aggregation: group_by (comma list of any row field plus day, hour, mode) returns groups instead of rows.
+export function queryTrace(q = {}, { rows } = {}) {
+  const since = parseTime(q.since), until = parseTime(q.until);
+  const ok = parseOk(q.ok);
+  const note = q.note ? String(q.note).toLowerCase() : "";
+  const from = q.from || "latest";
+  if (!["latest", "earliest"].includes(from)) throw new Error(`invalid from: ${from} (expected latest|earliest)`);
+  const groupBy = (Array.isArray(q.group_by) ? q.group_by : String(q.group_by || "").split(",")).map(s => s.trim()).filter(Boolean);
+
+  // Narrow by time/run through the segment index, except when mode needs each run's plan/start row
+  const all = keyed(rows || readTrace(q.mode ? { run_id: q.run_id } : { since, until, run_id: q.run_id }));
+  durations(all);
+  const modes = runModes(all.map(it => it.row));
+  const matched = all.filter(({ row }) =>
+    (!q.run_id || row.run_id === q.run_id) &&
+    (!q.phase || row.phase === q.phase) &&
+    (!q.step || row.step === q.step) &&
+    (ok === undefined || (row.ok !== false) === ok) &&
+    (!since || row.ts >= since) &&
+    (!until || row.ts <= until) &&
+    (!q.mode || (modes.get(row.run_id) ?? row.mode) === q.mode) &&
+    (!note || String(row.note ?? "").toLowerCase().includes(note)));
+
+  if (groupBy.length) return { group_by: groupBy, matched: matched.length, groups: aggregate(matched, groupBy, modes) };
+
+  const limit = Math.min(Math.max(Number(q.limit) || 50, 1), MAX_LIMIT);
+  const cursor = q.cursor ? decodeCursor(q.cursor) : null;
+  if (cursor && cursor.f !== from) throw new Error("cursor was issued for a different `from`");
+  let page, more;
+  if (from === "latest") {
+    const rest = cursor ? matched.filter(it => it.key < cursor.k) : matched;
+    page = rest.slice(-limit);
+    more = rest.length > limit;
+  } else {
+    const rest = cursor ? matched.filter(it => it.key > cursor.k) : matched;
+    page = rest.slice(0, limit);
+    more = rest.length > limit;
+  }
+  const edge = from === "latest" ? page[0] : page[page.length - 1];
+  return {
+    matched: matched.length,
+    rows: page.map(it => it.row),
+    next_cursor: more ? encodeCursor({ k: edge.key, f: from }) : null
+  };
+}
+export default { queryTrace, parseTime };
@@ -0,0 +1,133 @@
+// Run timelines: stitch the TRACE rows of one run_id back into goal, mode, ordered phases with durations,
+// γ against its threshold per attempt, the decision, and the patch or PR intent the run left behind.
+import { readTrace } from "./ledger.mjs";
+import { readIntents } from "./intents.mjs";
+import { parseTime } from "./query.mjs";
+
+// Rows written before gate/gamma carried gamma/threshold in extra only have them in the note ("0.35<0.5").
+export function gateValues(row) {
+  if (typeof row.extra?.gamma === "number") return { gamma: row.extra.gamma, threshold: row.extra.threshold };
+  const m = String(row.note || "").match(/^([\d.]+)(?:>=|<)([\d.]+)$/);
+  return m ? { gamma: Number(m[1]), threshold: Number(m[2]) } : { gamma: null, threshold: null };
+}
+
+// Older done/end rows don't name the decision; work it out from what the run did.
+function inferDecision(rows, end) {
+  if (end?.extra?.decision) return end.extra.decision;
+  if (!end) return null;
+  if (rows.some(r => r.phase === "patch" && r.step === "promote" && r.ok !== false)) return "APPLY";
+  if (rows.some(r => r.phase === "intent" && r.step === "request_pr")) return "INTENT";
+  if (rows.some(r => r.phase === "patch" && r.step === "generate" && r.ok === false)) return "ERROR";
+  return end.ok === false ? "REFUSED" : null;
+}
+
+// Rows written under the run_id after done/end (intents apply/publish/drop, later by hours or days) are
+// listed under `later` rather than as phases, and don't count towards the run's duration.
+export function buildTimeline(all, intents = []) {
+  if (all.length === 0) return null;
+  const end = all.findLast(r => r.phase === "done" && r.step === "end");
+  const rows = end ? all.slice(0, all.indexOf(end) + 1) : all;
+  const start = rows.find(r => r.phase === "plan" && r.step === "start");
+  const t0 = Date.parse(rows[0].ts);
+  let prevTs = t0;
+  const phases = rows.map(r => {
+    const t = Date.parse(r.ts);
+    const row = { seq: r.seq ?? null, ts: r.ts, at_ms: t - t0, duration_ms: t - prevTs, phase: r.phase, step: r.step,
+                  step_index: r.step_index ?? null, ok: r.ok !== false, note: r.note ?? null };
+    prevTs = t;
+    return row;
+  });
+
+  const attempts = new Map();
+  const attempt = (i) => {
+    if (!attempts.has(i)) attempts.set(i, { step_index: i, gamma: null, threshold: null, pass: null, vetoes: [], applied: null, tests: null });
+    return attempts.get(i);
+  };
+  let patch = null, promoted = null;
+  for (const r of rows) {
+    if (!Number.isInteger(r.step_index)) continue;
+    if (r.phase === "gate" && r.step === "gamma") Object.assign(attempt(r.step_index), gateValues(r), { pass: r.ok !== false });
+    if (r.phase === "gate" && r.step === "veto") attempt(r.step_index).vetoes = (r.extra?.vetoes || []).map(v => v.rule);
+    if (r.phase === "patch" && r.step === "apply") {
+      attempt(r.step_index).applied = r.ok !== false;
+      if (r.ok !== false) patch = { step_index: r.step_index, branch: r.extra?.branch ?? null, commit: r.extra?.commit ?? null };
+    }
+    if (r.phase === "test" && r.step === "run") attempt(r.step_index).tests = r.note ?? null;
+    if (r.phase === "patch" && r.step === "promote") {
+      promoted = { ok: r.ok !== false, method: r.ok !== false ? r.note : null, commit: r.extra?.commit ?? null, error: r.extra?.error ?? null };
+    }
+  }
+  const steps = [...attempts.values()].sort((a, b) => a.step_index - b.step_index);
+  const lastGate = steps.findLast(s => s.gamma !== null);
+
+  const later = all.slice(rows.length).map(r => ({ seq: r.seq ?? null, ts: r.ts, after_ms: Date.parse(r.ts) - prevTs,
+                                                  phase: r.phase, step: r.step, ok: r.ok !== false, note: r.note ?? null }));
+
+  const requested = rows.find(r => r.phase === "intent" && r.step === "request_pr");
+  const queued = intents.find(i => i.run_id === rows[0].run_id);
+  const intent = requested || queued ? {
+    id: requested?.extra?.id ?? queued?.id ?? null,
+    title: queued?.title ?? requested?.note ?? null,
+    branch: queued?.branch ?? requested?.extra?.branch ?? null,
+    status: queued?.status ?? null,
+    ...(queued?.published ? { published: queued.published } : {})
+  } : null;
+
+  return {
+    run_id: rows[0].run_id,
+    goal: start?.note ?? null,
+    mode: start?.extra?.mode ?? start?.mode ?? null,
+    started_at: rows[0].ts,
+    ended_at: end?.ts ?? null,
+    duration_ms: Date.parse(rows[rows.length - 1].ts) - t0,
+    status: end ? "done" : "incomplete",
+    decision: inferDecision(rows, end),
+    stop: end?.note ?? null,
+    steps: end?.extra?.steps ?? steps.length,
+    gamma: lastGate?.gamma ?? null,
+    threshold: lastGate?.threshold ?? null,
+    pass: lastGate?.pass ?? null,
+    vetoes: lastGate?.vetoes ?? [],
+    spent_gbp: end?.extra?.spent_gbp ?? null,
+    attempts: steps,
+    patch: patch ? { ...patch, promoted } : null,
+    intent,
+    phases,
+    later
+  };
+}
+
+const summary = ({ phases, attempts, later, ...run }) => ({ ...run, rows: phases.length });
+
+// Kernel runs (those with a plan/start row), newest first. `since` is ISO or relative ("7d").
+export function listRuns({ limit = 20, since, mode, decision } = {}) {
+  since = parseTime(since);
+  const byRun = new Map();
+  for (const r of readTrace(since ? { since } : {})) {
+    if (!r.run_id) continue;
+    if (!byRun.has(r.run_id)) byRun.set(r.run_id, []);
+    byRun.get(r.run_id).push(r);
+  }
+  const intents = readIntents();
+  const runs = [];
+  for (const rows of byRun.values()) {
+    if (!rows.some(r => r.phase === "plan" && r.step === "start")) continue;
+    const run = buildTimeline(rows, intents);
+    if (mode && run.mode !== mode) continue;
+    if (decision && run.decision !== decision) continue;
+    runs.push(summary(run));
+  }
+  return runs.sort((a, b) => b.started_at.localeCompare(a.started_at)).slice(0, Math.max(1, Number(limit) || 20));
+}
+
+// One run's full timeline; `id` may be a unique prefix of the run_id.
+export function getRun(id) {
+  let rows = readTrace({ run_id: id });
+  if (rows.length === 0) {
+    const ids = [...new Set(readTrace().map(r => r.run_id).filter(r => r?.startsWith(id)))];
+    if (ids.length > 1) throw new Error(`ambiguous run id ${id}: ${ids.join(", ")}`);
+    if (ids.length === 1) rows = readTrace({ run_id: ids[0] });
+  }
+  return buildTimeline(rows, readIntents());
+}
+export default { listRuns, getRun, buildTimeline, gateValues };
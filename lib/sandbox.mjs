@@ -0,0 +1,110 @@
+// Per-run sandbox: a temporary git worktree on a throwaway branch.
+// Patches are applied, committed and tested there; only a passing gate promotes the commit into the main tree.
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawnSync } from "child_process";
+import { toUnified } from "./patch.mjs";
+
+const ROOT = process.cwd();
+const BRANCH_PREFIX = "nstar/run-";
+const git = (args, opts = {}) => spawnSync("git", args, { encoding: "utf8", ...opts });
+const out = (proc) => (proc.stdout || "").trim();
+
+const live = new Set();
+let hooked = false;
+
+// Dispose every live sandbox on any exit path. "exit" also fires after uncaught errors; signals need their own hook.
+function hookExit() {
+  if (hooked) return;
+  hooked = true;
+  const disposeAll = () => { for (const sb of [...live]) sb.dispose(); };
+  process.on("exit", disposeAll);
+  for (const sig of ["SIGINT", "SIGTERM", "SIGHUP"]) {
+    process.once(sig, () => { disposeAll(); process.kill(process.pid, sig); });
+  }
+}
+
+// Drop leftovers from runs that were killed too hard to clean up (SIGKILL, power loss).
+export function sweepSandboxes(root = ROOT) {
+  git(["worktree", "prune"], { cwd: root });
+  const inUse = new Set(out(git(["worktree", "list", "--porcelain"], { cwd: root }))
+    .split("\n").filter(l => l.startsWith("branch refs/heads/")).map(l => l.slice(18)));
+  const branches = out(git(["for-each-ref", "--format=%(refname:short)", `refs/heads/${BRANCH_PREFIX}*`], { cwd: root }))
+    .split("\n").filter(Boolean);
+  for (const b of branches) if (!inUse.has(b)) git(["branch", "-D", b], { cwd: root });
+}
+
+function identityArgs(root) {
+  // Commit as nstar only when the repo has no identity configured
+  return out(git(["config", "user.email"], { cwd: root })) ? [] : ["-c", "user.name=nstar", "-c", "user.email=nstar@localhost"];
+}
+
+// `branch` names a branch to keep once something is committed on it (e.g. an intent's branch);
+// by default the sandbox uses a throwaway nstar/run-<id> branch.
+export function createSandbox({ run_id, root = ROOT, branch: keep }) {
+  sweepSandboxes(root);
+  const base = out(git(["rev-parse", "HEAD"], { cwd: root }));
+  if (!base) throw new Error("sandbox: repository has no commits");
+  const branch = keep || BRANCH_PREFIX + run_id.replace(/[^A-Za-z0-9._-]/g, "-");
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "nstar-sbx-"));
+  const add = git(["worktree", "add", "-b", branch, dir, base], { cwd: root });
+  if (add.status !== 0) {
+    fs.rmSync(dir, { recursive: true, force: true });
+    throw new Error(`sandbox: git worktree add failed: ${add.stderr.trim()}`);
+  }
+  // Share installed dependencies so the test command can run
+  const nm = path.join(root, "node_modules");
+  if (fs.existsSync(nm)) fs.symlinkSync(nm, path.join(dir, "node_modules"), "dir");
+
+  let disposed = false;
+  const sb = {
+    dir, branch, base, commit: null,
+
+    apply(patch) {
+      let unified = "";
+      try { unified = toUnified(patch, { cwd: dir }); }
+      catch (e) { return { ok: false, error: e.message, unified }; }
+      const proc = git(["apply", "--whitespace=fix", "-"], { cwd: dir, input: unified });
+      return { ok: proc.status === 0, error: proc.stderr.trim(), unified };
+    },
+
+    commitAll(message) {
+      git(["add", "-A", "--", ".", ":!node_modules"], { cwd: dir });
+      const proc = git([...identityArgs(root), "commit", "-q", "--no-verify", "-m", message], { cwd: dir });
+      if (proc.status !== 0) return { ok: false, error: (proc.stderr || proc.stdout).trim() };
+      sb.commit = out(git(["rev-parse", "HEAD"], { cwd: dir }));
+      return { ok: true, commit: sb.commit };
+    },
+
+    // Bring the sandbox commit into the main tree: fast-forward when HEAD hasn't moved and the tree is clean,
+    // otherwise cherry-pick on top of whatever the user has.
+    promote() {
+      if (!sb.commit) return { ok: false, error: "nothing committed in sandbox" };
+      const head = out(git(["rev-parse", "HEAD"], { cwd: root }));
+      const dirty = out(git(["status", "--porcelain", "--untracked-files=no"], { cwd: root })) !== "";
+      if (head === base && !dirty) {
+        const ff = git(["merge", "--ff-only", "-q", sb.commit], { cwd: root });
+        if (ff.status === 0) return { ok: true, method: "fast-forward", commit: sb.commit };
+      }
+      const pick = git([...identityArgs(root), "cherry-pick", sb.commit], { cwd: root });
+      if (pick.status === 0) return { ok: true, method: "cherry-pick", commit: out(git(["rev-parse", "HEAD"], { cwd: root })) };
+      git(["cherry-pick", "--abort"], { cwd: root });
+      return { ok: false, method: "cherry-pick", error: (pick.stderr || pick.stdout).trim() };
+    },
+
+    dispose() {
+      if (disposed) return;
+      disposed = true;
+      live.delete(sb);
+      git(["worktree", "remove", "--force", dir], { cwd: root });
+      fs.rmSync(dir, { recursive: true, force: true });
+      git(["worktree", "prune"], { cwd: root });
+      if (!(keep && sb.commit)) git(["branch", "-D", branch], { cwd: root });
+    }
+  };
+  live.add(sb);
+  hookExit();
+  return sb;
+}
+export default { createSandbox, sweepSandboxes };
@@ -0,0 +1,101 @@
+// TRACE row schema: versioned JSON Schemas in schema/trace-event.v<N>.json, a validator for the subset
+// they use, and upgrades that bring older rows to the current version for readers.
+// The same validator checks policy files against schema/policy-<name>.v1.json.
+import fs from "fs";
+import { fileURLToPath } from "url";
+
+export const SCHEMA_VERSION = 1;
+const TOP_LEVEL = new Set(["schema", "ts", "ok", "run_id", "step_index", "phase", "step", "note", "extra", "invalid", "seq", "prev", "hash"]);
+const ISO = /^\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d(\.\d+)?(Z|[+-]\d\d:\d\d)$/;
+
+const schemas = new Map();
+// schema/<name>.json, e.g. loadSchema("policy-gamma.v1")
+export function loadSchema(name) {
+  if (!schemas.has(name)) {
+    const file = fileURLToPath(new URL(`../schema/${name}.json`, import.meta.url));
+    if (!fs.existsSync(file)) throw new Error(`unknown schema ${name}`);
+    schemas.set(name, JSON.parse(fs.readFileSync(file, "utf8")));
+  }
+  return schemas.get(name);
+}
+
+export function traceSchema(version = SCHEMA_VERSION) {
+  try { return loadSchema(`trace-event.v${version}`); }
+  catch { throw new Error(`unknown TRACE schema version ${version}`); }
+}
+
+function typeOf(v) {
+  if (Array.isArray(v)) return "array";
+  if (v === null) return "null";
+  if (Number.isInteger(v)) return "integer";
+  return typeof v;
+}
+
+// type, const, enum, required, properties, additionalProperties (false or a schema), items, minLength,
+// minimum, maximum, pattern, format:date-time.
+// Undefined properties count as absent, as they are once serialised.
+function check(schema, value, at, errors) {
+  const where = at || "row";
+  if ("const" in schema && value !== schema.const) errors.push(`${where}: expected ${JSON.stringify(schema.const)}`);
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${where}: expected one of ${schema.enum.join("|")}`);
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    const t = typeOf(value);
+    if (!types.includes(t) && !(t === "integer" && types.includes("number"))) {
+      errors.push(`${where}: expected ${types.join("|")}, got ${t}`);
+      return;
+    }
+  }
+  if (typeof value === "string") {
+    if (schema.minLength && value.length < schema.minLength) errors.push(`${where}: empty`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${where}: does not match ${schema.pattern}`);
+    if (schema.format === "date-time" && (!ISO.test(value) || Number.isNaN(Date.parse(value)))) errors.push(`${where}: not an ISO date-time`);
+  }
+  if (typeof value === "number" && "minimum" in schema && value < schema.minimum) errors.push(`${where}: below ${schema.minimum}`);
+  if (typeof value === "number" && "maximum" in schema && value > schema.maximum) errors.push(`${where}: above ${schema.maximum}`);
+  if (Array.isArray(value) && schema.items) value.forEach((v, i) => check(schema.items, v, `${where}[${i}]`, errors));
+  if (typeOf(value) === "object") {
+    for (const k of schema.required || []) if (value[k] === undefined) errors.push(`${at ? `${at}.` : ""}${k}: required`);
+    for (const [k, v] of Object.entries(value)) {
+      if (v === undefined) continue;
+      const sub = schema.properties?.[k];
+      if (sub) check(sub, v, at ? `${at}.${k}` : k, errors);
+      else if (typeof schema.additionalProperties === "object") check(schema.additionalProperties, v, at ? `${at}.${k}` : k, errors);
+      else if (schema.additionalProperties === false) errors.push(`${at ? `${at}.` : ""}${k}: unexpected field${schema.properties?.extra ? " (put it in extra)" : ""}`);
+    }
+  }
+}
+
+// Problems with any value against a schema
+export function validate(schema, value) {
+  const errors = [];
+  check(schema, value, "", errors);
+  return errors;
+}
+
+// Problems with `row` against the schema version it claims (rows without `schema` are version 0 and have none).
+export function validateRow(row, version = row?.schema ?? 0) {
+  if (version === 0) return ["schema: missing version (pre-schema row)"];
+  const errors = [];
+  check(traceSchema(version), row, "", errors);
+  return errors;
+}
+
+// Bring a row up to SCHEMA_VERSION for readers: unknown top-level fields move into `extra`,
+// missing run_id becomes "unattributed", and a missing ok is taken as true. seq/prev/hash are left as written.
+export function upgradeRow(row) {
+  if (!row || typeof row !== "object" || row.schema === SCHEMA_VERSION) return row;
+  const out = { schema: SCHEMA_VERSION };
+  const moved = {};
+  for (const [k, v] of Object.entries(row)) {
+    if (k === "schema") continue;
+    if (TOP_LEVEL.has(k)) out[k] = v;
+    else moved[k] = v;
+  }
+  out.ok = typeof out.ok === "boolean" ? out.ok : out.ok !== false;
+  out.run_id ||= "unattributed";
+  if (out.note !== undefined && typeof out.note !== "string") out.note = String(out.note);
+  if (Object.keys(moved).length) out.extra = { ...moved, ...(out.extra && typeof out.extra === "object" ? out.extra : {}) };
+  return out;
+}
+export default { SCHEMA_VERSION, loadSchema, traceSchema, validate, validateRow, upgradeRow };
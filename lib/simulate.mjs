@@ -0,0 +1,97 @@
+// Policy backtesting: replay the evidence recorded on past gate/gamma rows through a candidate gamma policy
+// and report which runs would have flipped between APPLY and INTENT.
+import fs from "fs";
+import path from "path";
+import { readTrace } from "./ledger.mjs";
+import { gammaScore, resolvePolicy, validatePolicy, gammaCfg } from "./policy.mjs";
+import { parseTime } from "./query.mjs";
+
+const ROOT = process.cwd();
+
+// A candidate file may be partial: its top-level keys (weights, thresholds, diff_budget) replace the current ones.
+export function loadCandidate(file) {
+  let candidate;
+  try { candidate = JSON.parse(fs.readFileSync(path.resolve(ROOT, file), "utf8")); }
+  catch (e) { throw new Error(`cannot read candidate policy ${file}: ${e.message}`); }
+  const cfg = { ...gammaCfg, ...candidate };
+  const errors = validatePolicy("gamma", cfg);
+  if (errors.length) throw new Error(`candidate policy ${file} is invalid:\n  ${errors.join("\n  ")}`);
+  return cfg;
+}
+
+// One attempt under `cfg`. diff_tiny is re-derived from the recorded diff size so diff_budget changes count too;
+// the candidate's vetoes and path overrides apply where the row recorded the touched files.
+function replayGate(gate, applied, mode, candidate) {
+  const { gamma: cfg, intent_only } = resolvePolicy(gate.extra.files || [], { gamma: candidate });
+  const evidence = { ...gate.extra.evidence };
+  const diff = gate.extra.diff;
+  if (diff && cfg.diff_budget) evidence.diff_tiny = applied && diff.files <= cfg.diff_budget.files && diff.lines <= cfg.diff_budget.lines ? 1 : 0;
+  const { gamma, threshold, vetoes, pass } = gammaScore(evidence, cfg, { mode, files: gate.extra.files });
+  return { gamma, threshold, vetoes, intent_only, pass };
+}
+
+// The kernel applies on the first attempt that passes its gate with the run under budget (unless an
+// intent_only override matched), and otherwise ends with an INTENT. Attempts after the recorded pass never ran, so when the candidate fails that attempt
+// the replay stops there and the result is marked `unobserved`.
+function replayRun(rows, cfg) {
+  const start = rows.find(r => r.phase === "plan" && r.step === "start");
+  const end = rows.findLast(r => r.phase === "done" && r.step === "end");
+  const gates = rows.filter(r => r.phase === "gate" && r.step === "gamma" && r.extra?.evidence);
+  if (!start || !end || gates.length === 0 || ["REFUSED", "ERROR"].includes(end.extra?.decision)) return null;
+  const mode = start.extra?.mode ?? "fast";
+  const applied = new Set(rows.filter(r => r.phase === "patch" && r.step === "apply" && r.ok !== false).map(r => r.step_index));
+  const intentOnly = new Set(rows.filter(r => r.phase === "policy" && r.step === "resolve" && r.extra?.intent_only).map(r => r.step_index));
+
+  const decide = (results) => {
+    const i = results.findIndex((res, j) => res.pass && gates[j].extra.evidence.cost_ok);
+    if (i === -1) return { decision: "INTENT", at: results.length - 1 };
+    return { decision: results[i].intent_only ? "INTENT" : "APPLY", at: i };
+  };
+  const before = gates.map(g => ({ gamma: g.extra.gamma, threshold: g.extra.threshold, vetoes: g.extra.vetoes || [],
+                                   intent_only: intentOnly.has(g.step_index), pass: g.ok !== false }));
+  const after = gates.map(g => replayGate(g, applied.has(g.step_index), mode, cfg));
+  const was = decide(before), now = decide(after);
+  return {
+    run_id: start.run_id, mode, goal: start.note ?? null,
+    recorded: end.extra?.decision ?? null,
+    before: was.decision, after: now.decision,
+    step_index: gates[now.decision === "APPLY" ? now.at : was.at].step_index ?? null,
+    gamma_before: before[was.at].gamma, threshold_before: before[was.at].threshold,
+    gamma_after: after[now.at].gamma, threshold_after: after[now.at].threshold,
+    vetoes_before: before[was.at].vetoes.map(v => v.rule), vetoes_after: after[now.at].vetoes.map(v => v.rule),
+    intent_only: Boolean(after[now.at].intent_only),
+    unobserved: was.decision === "APPLY" && !after[was.at].pass
+  };
+}
+
+// Runs finished with APPLY or INTENT whose gate rows carry evidence; REFUSED/ERROR runs and incomplete
+// runs are counted as skipped. `examples` caps the listed flips per direction.
+export function simulatePolicy(cfg, { since, mode, examples = 5 } = {}) {
+  since = parseTime(since);
+  const byRun = new Map();
+  for (const r of readTrace(since ? { since } : {})) {
+    if (!r.run_id) continue;
+    if (!byRun.has(r.run_id)) byRun.set(r.run_id, []);
+    byRun.get(r.run_id).push(r);
+  }
+  const report = { runs: 0, skipped: 0, flips: { apply_to_intent: 0, intent_to_apply: 0 }, by_mode: {}, examples: { apply_to_intent: [], intent_to_apply: [] } };
+  // Newest first, so the examples are recent runs
+  for (const rows of [...byRun.values()].reverse()) {
+    const start = rows.find(r => r.phase === "plan" && r.step === "start");
+    if (!start || (mode && (start.extra?.mode ?? "fast") !== mode)) continue;
+    const run = replayRun(rows, cfg);
+    if (!run) { report.skipped++; continue; }
+    report.runs++;
+    const m = report.by_mode[run.mode] ||= { runs: 0, apply_before: 0, apply_after: 0, apply_to_intent: 0, intent_to_apply: 0 };
+    m.runs++;
+    if (run.before === "APPLY") m.apply_before++;
+    if (run.after === "APPLY") m.apply_after++;
+    if (run.before === run.after) continue;
+    const dir = run.before === "APPLY" ? "apply_to_intent" : "intent_to_apply";
+    report.flips[dir]++;
+    m[dir]++;
+    if (report.examples[dir].length < examples) report.examples[dir].push(run);
+  }
+  return report;
+}
+export default { loadCandidate, simulatePolicy };
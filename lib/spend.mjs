@@ -0,0 +1,29 @@
+// Spend accounting: each run's actual cost is a cost/spend TRACE row; the daily cap is checked
+// against the sum of those rows over a rolling 24h window.
+import { appendTrace, readTrace } from "./ledger.mjs";
+import { costCfg } from "./policy.mjs";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function recordSpend({ run_id, step_index, gbp, ...extra }) {
+  appendTrace({ run_id, step_index, phase: "cost", step: "spend", ok: true, note: `£${gbp}`, extra: { gbp, ...extra } });
+}
+
+export function spentSince(since, rows = readTrace({ since: new Date(since).toISOString() })) {
+  let total = 0;
+  for (const row of rows) {
+    if (row.phase !== "cost" || row.step !== "spend") continue;
+    if (Date.parse(row.ts) < since) continue;
+    total += Number(row.extra?.gbp) || 0;
+  }
+  return +total.toFixed(6);
+}
+
+export function spentToday(now = Date.now()) { return spentSince(now - DAY_MS); }
+
+export function spendStatus(now = Date.now()) {
+  const spent = spentToday(now);
+  const cap = costCfg.per_day_gbp;
+  return { window_hours: 24, spent_gbp: spent, cap_gbp: cap, remaining_gbp: +Math.max(0, cap - spent).toFixed(4) };
+}
+export default { recordSpend, spentSince, spentToday, spendStatus };
@@ -0,0 +1,79 @@
+// Context refs against a throwaway repo: pastes, file globs, refusals outside the repo, url fetchers and the token budget.
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { resolveContext, expandFileRef } from "../lib/context.mjs";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "nstar-context-"));
+const root = path.join(dir, "repo");
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+const put = (rel, text) => {
+  fs.mkdirSync(path.dirname(path.join(root, rel)), { recursive: true });
+  fs.writeFileSync(path.join(root, rel), text);
+};
+put("assets/paste/notes-1.md", "pasted notes\n");
+put("docs/a.md", "alpha\n");
+put("docs/deep/b.md", "beta\n");
+put("docs/c.txt", "gamma\n");
+put("node_modules/x/d.md", "skipped\n");
+fs.writeFileSync(path.join(dir, "secret.md"), "outside\n");
+
+// One token per character keeps the budget arithmetic readable
+const count = (t) => t.length;
+const resolve = (refs, opts = {}) => resolveContext(refs, { root, count, fetcher: async () => { throw new Error("no network"); }, ...opts });
+
+test("ctx://paste reads from assets/paste", async () => {
+  const res = await resolve(["ctx://paste/notes-1", "ctx://paste/none", "ctx://paste/../x"]);
+  assert.deepEqual(res.docs, [{ ref: "ctx://paste/notes-1", source: path.join("assets", "paste", "notes-1.md"), text: "pasted notes\n", tokens: 13, truncated: false }]);
+  assert.deepEqual(res.loaded, ["ctx://paste/notes-1"]);
+  assert.deepEqual(res.skipped.map(s => s.reason), ["paste not found: none", "expected ctx://paste/<id>"]);
+});
+
+test("file:// takes paths and globs, sorted, skipping node_modules", async () => {
+  assert.deepEqual(expandFileRef("docs/**/*.md", root), ["docs/a.md", "docs/deep/b.md"]);
+  assert.deepEqual(expandFileRef("docs/*.md", root), ["docs/a.md"]);
+  assert.deepEqual(expandFileRef("docs/?.txt", root), ["docs/c.txt"]);
+  assert.throws(() => expandFileRef("**/d.md", root), /no files match/);
+  assert.throws(() => expandFileRef("docs/none.md", root), /not found: docs\/none.md/);
+});
+
+test("file:// refs become one document per file", async () => {
+  const res = await resolve(["file://docs/**/*.md", "file://docs/c.txt", "file://docs/*.pdf"]);
+  assert.deepEqual(res.docs.map(d => [d.source, d.text]), [["docs/a.md", "alpha\n"], ["docs/deep/b.md", "beta\n"], ["docs/c.txt", "gamma\n"]]);
+  assert.deepEqual(res.loaded, ["file://docs/**/*.md", "file://docs/c.txt"]);
+  assert.deepEqual(res.skipped, [{ ref: "file://docs/*.pdf", reason: "no files match: docs/*.pdf" }]);
+  assert.equal(res.tokens, 17);
+});
+
+test("refs outside the repo are refused", async () => {
+  const res = await resolve(["file://../secret.md", `file://${path.join(dir, "secret.md")}`, "file://../*.md", "file://docs/../../secret.md"]);
+  assert.deepEqual(res.docs, []);
+  assert.deepEqual(res.skipped.map(s => s.reason), ["outside repo: ../secret.md", `outside repo: ${path.join(dir, "secret.md")}`, "outside repo: ../*.md", "outside repo: docs/../../secret.md"]);
+});
+
+test("url:// goes through the fetcher, and unknown schemes are skipped", async () => {
+  const seen = [];
+  const res = await resolve(["url://example.com/spec", "url://http://example.com/x", "ftp://example.com", "plain"], { fetcher: async (url) => { seen.push(url); return `from ${url}`; } });
+  assert.deepEqual(seen, ["https://example.com/spec", "http://example.com/x"]);
+  assert.deepEqual(res.docs.map(d => d.source), seen);
+  assert.deepEqual(res.skipped.map(s => s.reason), ["unsupported scheme: ftp", "unrecognised ref"]);
+});
+
+test("the budget truncates a document when there is room and skips it when there is not", async () => {
+  const long = "x".repeat(200);
+  const fetcher = async (url) => url.endsWith("/long") ? long : "y".repeat(40);
+  const res = await resolve(["url://a/short", "url://a/long", "url://a/short"], { fetcher, budget: 150 });
+  assert.deepEqual(res.docs.map(d => [d.source, d.tokens, d.truncated]), [["https://a/short", 40, false], ["https://a/long", 110, true]]);
+  assert.equal(res.docs[1].text, long.slice(0, 110));
+  assert.equal(res.tokens, 150);
+  assert.deepEqual(res.loaded, ["url://a/short", "url://a/long"]);
+  assert.deepEqual(res.skipped, [{ ref: "url://a/short", source: "https://a/short", reason: "token budget exhausted" }]);
+
+  // Under 64 tokens left is too little to be worth a truncated copy
+  const tight = await resolve(["url://a/short", "url://a/long"], { fetcher, budget: 100 });
+  assert.deepEqual(tight.docs.map(d => d.source), ["https://a/short"]);
+  assert.deepEqual(tight.skipped.map(s => s.reason), ["token budget exhausted"]);
+  assert.equal(tight.tokens, 40);
+});
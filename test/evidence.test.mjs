@@ -0,0 +1,139 @@
+// Test-run evidence: runner summaries, coverage tables and the pass ratio, against output captured from the real tools.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseTestSummary, parseCoverage, passRatio } from "../lib/evidence.mjs";
+
+// node --test (TAP, spec) with --experimental-test-coverage, Node 20
+const NODE_TAP = `ok 3 - three # SKIP
+  ---
+  duration_ms: 0.238455
+  ...
+1..3
+# tests 3
+# suites 0
+# pass 1
+# fail 1
+# cancelled 0
+# skipped 1
+# todo 0
+# duration_ms 214.844989
+# start of coverage report
+# -----------------------------------------------------------
+# file       | line % | branch % | funcs % | uncovered lines
+# -----------------------------------------------------------
+# a.test.mjs | 100.00 |   100.00 |   66.67 |
+# f.mjs      |  75.00 |    66.67 |   50.00 | 3
+# -----------------------------------------------------------
+# all files  |  87.50 |    83.33 |   60.00 |
+# -----------------------------------------------------------
+# end of coverage report
+`;
+const NODE_SPEC = `ℹ tests 3
+ℹ suites 0
+ℹ pass 2
+ℹ fail 0
+ℹ cancelled 0
+ℹ skipped 1
+ℹ todo 0
+ℹ duration_ms 211.187097
+ℹ start of coverage report
+ℹ -----------------------------------------------------------
+ℹ file       | line % | branch % | funcs % | uncovered lines
+ℹ -----------------------------------------------------------
+ℹ all files  | 100.00 |    83.33 |   60.00 |
+ℹ -----------------------------------------------------------
+ℹ end of coverage report
+`;
+// jest 30 --coverage (istanbul: statements lead, lines are the fourth figure)
+const JEST = `----------|---------|----------|---------|---------|-------------------
+File      | % Stmts | % Branch | % Funcs | % Lines | Uncovered Line #s
+----------|---------|----------|---------|---------|-------------------
+All files |      50 |       50 |     100 |     100 |
+ lib.cjs  |      50 |       50 |     100 |     100 | 2
+----------|---------|----------|---------|---------|-------------------
+Test Suites: 1 failed, 1 total
+Tests:       1 failed, 1 skipped, 1 passed, 3 total
+Snapshots:   0 total
+Time:        0.554 s
+Ran all test suites.
+`;
+// vitest 4 run --coverage (v8 provider)
+const VITEST = `
+ Test Files  1 passed (1)
+      Tests  2 passed | 1 skipped (3)
+   Start at  16:52:47
+   Duration  377ms (transform 25ms, setup 0ms, import 48ms, tests 7ms, environment 0ms)
+
+ % Coverage report from v8
+----------|---------|----------|---------|---------|-------------------
+File      | % Stmts | % Branch | % Funcs | % Lines | Uncovered Line #s
+----------|---------|----------|---------|---------|-------------------
+All files |      50 |       50 |      50 |   66.66 |
+ f.mjs    |      50 |       50 |      50 |   66.66 | 5
+----------|---------|----------|---------|---------|-------------------
+`;
+const VITEST_FAIL = `
+ Test Files  1 failed (1)
+      Tests  1 failed | 1 passed | 1 skipped (3)
+   Start at  16:52:47
+`;
+// c8 mocha
+const MOCHA_C8 = `
+  f
+    ✔ one
+    1) two
+    - three
+
+
+  1 passing (9ms)
+  1 pending
+  1 failing
+
+----------|---------|----------|---------|---------|-------------------
+File      | % Stmts | % Branch | % Funcs | % Lines | Uncovered Line #s
+----------|---------|----------|---------|---------|-------------------
+All files |     100 |    66.66 |      50 |     100 |
+ f.mjs    |     100 |    66.66 |      50 |     100 | 2
+----------|---------|----------|---------|---------|-------------------
+`;
+
+test("parseTestSummary reads each runner's counts, skipped and pending left out", () => {
+  const cases = [
+    ["node tap", NODE_TAP, { passed: 1, failed: 1, total: 2 }],
+    ["node spec", NODE_SPEC, { passed: 2, failed: 0, total: 2 }],
+    ["jest", JEST, { passed: 1, failed: 1, total: 2 }],
+    ["vitest", VITEST, { passed: 2, failed: 0, total: 2 }],
+    ["vitest failing", VITEST_FAIL, { passed: 1, failed: 1, total: 2 }],
+    ["mocha", MOCHA_C8, { passed: 1, failed: 1, total: 2 }],
+    ["mocha passing", "\n  14 passing (31ms)\n", { passed: 14, failed: 0, total: 14 }],
+    ["no summary", "Error: Cannot find module 'x'\n", null]
+  ];
+  for (const [name, output, want] of cases) assert.deepEqual(parseTestSummary(output), want, name);
+});
+
+test("parseCoverage reads the line column of the all-files row", () => {
+  const cases = [
+    ["node tap", NODE_TAP, 87.5],
+    ["node spec", NODE_SPEC, 100],
+    ["jest", JEST, 100],
+    ["vitest", VITEST, 66.66],
+    ["c8", MOCHA_C8, 100],
+    ["no header", "All files |  42.1 |  10 |", 42.1],
+    ["no table", NODE_TAP.split("# start of coverage")[0], null],
+    ["empty cell", "File | % Lines |\nAll files |   |", null]
+  ];
+  for (const [name, output, want] of cases) assert.equal(parseCoverage(output), want, name);
+});
+
+test("passRatio: the runner's counts, else the exit code", () => {
+  const cases = [
+    ["all passed", { ok: true, summary: { passed: 4, failed: 0, total: 4 } }, 1],
+    ["some failed", { ok: false, summary: { passed: 2, failed: 1, total: 3 } }, 0.667],
+    ["no summary, exit 0", { ok: true, summary: null }, 1],
+    ["no summary, exit 1", { ok: false, summary: null }, 0],
+    ["nothing counted", { ok: false, summary: { passed: 0, failed: 0, total: 0 } }, 0],
+    ["crashed after passing tests", { ok: false, summary: { passed: 5, failed: 0, total: 5 } }, 0],
+    ["skipped run", { ok: true, skipped: true, summary: null }, 1]
+  ];
+  for (const [name, tests, want] of cases) assert.equal(passRatio(tests), want, name);
+});
@@ -0,0 +1,37 @@
+// PR intents file: status rewrites must not drop intents appended by concurrent kernel runs.
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawn } from "child_process";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "nstar-intents-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+const INTENTS_URL = new URL("../lib/intents.mjs", import.meta.url).href;
+
+// Run `body` with the intents module loaded, in a separate process working in `dir`
+function child(body) {
+  const code = `const intents = await import(${JSON.stringify(INTENTS_URL)}); ${body}`;
+  const proc = spawn(process.execPath, ["--input-type=module", "-e", code], { cwd: dir, stdio: ["ignore", "pipe", "pipe"] });
+  let out = "", err = "";
+  proc.stdout.on("data", d => out += d);
+  proc.stderr.on("data", d => err += d);
+  return new Promise(resolve => proc.on("close", code => resolve({ code, out, err })));
+}
+
+test("appends and status rewrites from several processes lose nothing", async () => {
+  const first = await child(`console.log(intents.addIntent({ title: "first", branch: "pipe/0", diff: "" }).id);`);
+  assert.equal(first.code, 0, first.err);
+  const id = first.out.trim();
+  const results = await Promise.all([
+    ...[1, 2, 3].map(w => child(`for (let i = 0; i < 30; i++) intents.addIntent({ title: "w${w}-" + i, branch: "pipe/${w}-" + i, diff: "" });`)),
+    child(`for (let i = 0; i < 30; i++) intents.updateIntent(${JSON.stringify(id)}, { status: "dropped", n: i });`)
+  ]);
+  for (const r of results) assert.equal(r.code, 0, r.err);
+  const done = await child(`console.log(JSON.stringify(intents.readIntents()));`);
+  const rows = JSON.parse(done.out);
+  assert.equal(rows.length, 91);
+  assert.equal(rows.find(r => r.id === id).n, 29);
+  assert.equal(fs.existsSync(path.join(dir, "state/intents/pr.jsonl.lock")), false);
+});
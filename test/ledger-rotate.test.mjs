@@ -0,0 +1,75 @@
+// TRACE rotation: segments (plain and gzip) are read, tailed and verified together with the active file.
+import { test, before, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "nstar-rotate-"));
+const LEDGER = path.join(dir, "TRACE.jsonl");
+const SEGMENTS = path.join(dir, "TRACE.segments");
+let ledger;
+
+before(async () => {
+  // The ledger location is read when the module loads
+  process.env.NSTAR_TRACE = LEDGER;
+  process.env.NSTAR_TRACE_MAX_BYTES = "0";
+  ledger = await import("../lib/ledger.mjs");
+});
+beforeEach(() => {
+  fs.rmSync(LEDGER, { force: true });
+  fs.rmSync(SEGMENTS, { recursive: true, force: true });
+});
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const append = (run_id, n) => { for (let i = 0; i < n; i++) ledger.appendTrace({ run_id, phase: "test", step: "write", note: String(i) }); };
+
+test("rows read back in order across plain and gzip segments", () => {
+  append("r1", 3);
+  const first = ledger.rotateTrace({ gzip: false });
+  append("r2", 2);
+  const second = ledger.rotateTrace({ gzip: true });
+  append("r3", 2);
+
+  assert.deepEqual([first.file, first.seq_from, first.seq_to, first.run_ids], ["000001.jsonl", 0, 2, ["r1"]]);
+  assert.deepEqual([second.file, second.seq_from, second.seq_to], ["000002.jsonl.gz", 3, 4]);
+  assert.equal(fs.existsSync(path.join(SEGMENTS, "000002.jsonl")), false);
+  assert.deepEqual(ledger.readTrace().map(r => r.seq), [0, 1, 2, 3, 4, 5, 6]);
+  assert.deepEqual(ledger.readTrace({ run_id: "r2" }).map(r => r.seq), [3, 4]);
+  assert.deepEqual(ledger.tailTrace(4).map(r => r.seq), [3, 4, 5, 6]);
+  assert.equal(ledger.latestTrace().seq, 6);
+  const res = ledger.verifyTrace();
+  assert.equal(res.ok, true, JSON.stringify(res.first_break));
+  assert.equal(res.segments, 2);
+});
+
+test("the first append after a cut chains onto the segment", () => {
+  append("r1", 2);
+  const seg = ledger.rotateTrace({ gzip: false });
+  const row = ledger.appendTrace({ run_id: "r1", phase: "test", step: "write" });
+  assert.equal(row.seq, 2);
+  assert.equal(row.prev, seg.last_hash);
+});
+
+test("compactTrace gzips segments cut while gzip was off", () => {
+  append("r1", 2);
+  ledger.rotateTrace({ gzip: false });
+  assert.deepEqual(ledger.compactTrace(), { compacted: 1, segments: 1 });
+  assert.equal(ledger.readIndex().segments[0].file, "000001.jsonl.gz");
+  assert.equal(ledger.readTrace().length, 2);
+  assert.equal(ledger.verifyTrace().ok, true);
+});
+
+test("an active file of blank lines is not cut", () => {
+  append("r1", 2);
+  ledger.rotateTrace({ gzip: false });
+  fs.writeFileSync(LEDGER, "\n\n");
+  assert.equal(ledger.rotateTrace({ gzip: false }), null);
+  assert.equal(ledger.readIndex().segments.length, 1);
+  assert.equal(ledger.appendTrace({ run_id: "r1", phase: "test", step: "write" }).seq, 2);
+});
+
+test("an empty ledger has nothing to rotate", () => {
+  assert.equal(ledger.rotateTrace({ gzip: false }), null);
+  assert.deepEqual(ledger.readTrace(), []);
+});
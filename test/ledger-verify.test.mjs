@@ -0,0 +1,116 @@
+// TRACE hash chain: verifyTrace finds edited, deleted and reordered rows, and seq carries on past legacy rows.
+import { test, before, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "nstar-verify-"));
+const LEDGER = path.join(dir, "TRACE.jsonl");
+let ledger;
+
+before(async () => {
+  // The ledger location is read when the module loads
+  process.env.NSTAR_TRACE = LEDGER;
+  process.env.NSTAR_TRACE_MAX_BYTES = "0";
+  ledger = await import("../lib/ledger.mjs");
+});
+beforeEach(() => {
+  fs.rmSync(LEDGER, { force: true });
+  fs.rmSync(path.join(dir, "TRACE.segments"), { recursive: true, force: true });
+});
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const append = (n) => { for (let i = 0; i < n; i++) ledger.appendTrace({ run_id: "r1", phase: "test", step: "write", note: String(i) }); };
+const lines = (file = LEDGER) => fs.readFileSync(file, "utf8").trim().split("\n");
+const rewrite = (ls, file = LEDGER) => fs.writeFileSync(file, ls.join("\n") + "\n");
+
+test("an untouched chain verifies", () => {
+  append(5);
+  const res = ledger.verifyTrace();
+  assert.equal(res.ok, true);
+  assert.equal(res.chained, 5);
+  assert.equal(res.first_break, null);
+  assert.deepEqual(res.missing, []);
+  assert.deepEqual(res.reordered, []);
+});
+
+test("an edited row breaks its own hash", () => {
+  append(5);
+  const ls = lines();
+  ls[2] = ls[2].replace('"note":"2"', '"note":"edited"');
+  rewrite(ls);
+  const res = ledger.verifyTrace();
+  assert.equal(res.ok, false);
+  assert.deepEqual(res.first_break, { line: "TRACE.jsonl:3", seq: 2, reason: "row hash mismatch (row edited)" });
+  assert.deepEqual(res.missing, []);
+  assert.deepEqual(res.reordered, []);
+});
+
+test("a deleted row leaves a gap and a broken link", () => {
+  append(5);
+  const ls = lines();
+  ls.splice(1, 1);
+  rewrite(ls);
+  const res = ledger.verifyTrace();
+  assert.equal(res.first_break.seq, 2);
+  assert.match(res.first_break.reason, /^prev does not match/);
+  assert.deepEqual(res.missing, [{ from: 1, to: 1 }]);
+  assert.deepEqual(res.reordered, []);
+});
+
+test("swapped rows are reported as reordered", () => {
+  append(5);
+  const ls = lines();
+  [ls[1], ls[2]] = [ls[2], ls[1]];
+  rewrite(ls);
+  const res = ledger.verifyTrace();
+  assert.deepEqual(res.first_break, { line: "TRACE.jsonl:2", seq: 2, reason: "prev does not match the previous row (row removed, inserted or moved)" });
+  assert.deepEqual(res.missing, [{ from: 1, to: 1 }]);
+  assert.deepEqual(res.reordered, [{ line: "TRACE.jsonl:3", seq: 1, after: 2 }]);
+});
+
+test("a chain cut into a segment mid-way verifies across the cut", () => {
+  append(3);
+  ledger.rotateTrace({ gzip: false });
+  append(2);
+  const res = ledger.verifyTrace();
+  assert.equal(res.ok, true, JSON.stringify(res.first_break));
+  assert.equal(res.segments, 1);
+  assert.equal(res.chained, 5);
+});
+
+test("tampering inside a segment is found there", () => {
+  append(3);
+  ledger.rotateTrace({ gzip: false });
+  append(2);
+  const seg = path.join(dir, "TRACE.segments", "000001.jsonl");
+  const ls = lines(seg);
+  ls.splice(1, 1);
+  rewrite(ls, seg);
+  const res = ledger.verifyTrace();
+  assert.equal(res.first_break.line, "000001.jsonl:2");
+  assert.equal(res.first_break.seq, 2);
+  assert.deepEqual(res.missing, [{ from: 1, to: 1 }]);
+});
+
+test("a lost segment shows up as missing seqs", () => {
+  append(3);
+  ledger.rotateTrace({ gzip: false });
+  append(2);
+  fs.rmSync(path.join(dir, "TRACE.segments", "000001.jsonl"));
+  const res = ledger.verifyTrace();
+  assert.deepEqual(res.first_break, { line: "000001.jsonl", seq: 0, reason: "missing TRACE segment 000001.jsonl" });
+  assert.deepEqual(res.missing, [{ from: 0, to: 2 }]);
+});
+
+test("seq carries on from the last chained row past an unchained one", () => {
+  append(3);
+  fs.appendFileSync(LEDGER, JSON.stringify({ ts: new Date().toISOString(), phase: "legacy", step: "row" }) + "\n");
+  const row = ledger.appendTrace({ run_id: "r1", phase: "test", step: "write" });
+  assert.equal(row.seq, 3);
+  const res = ledger.verifyTrace();
+  assert.equal(res.first_break.reason, "unchained row after the chain started");
+  assert.deepEqual(res.missing, []);
+  assert.deepEqual(res.reordered, []);
+});
@@ -0,0 +1,68 @@
+// TRACE ledger locking: concurrent writers in separate processes, and stale-lock takeover.
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawn, spawnSync } from "child_process";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "nstar-ledger-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+const LEDGER_URL = new URL("../lib/ledger.mjs", import.meta.url).href;
+
+// Append `rows` rows to `ledger` from a separate node process
+function writer(ledger, name, rows) {
+  const code = `const { appendTrace } = await import(${JSON.stringify(LEDGER_URL)});
+    for (let i = 0; i < ${rows}; i++) appendTrace({ run_id: ${JSON.stringify(name)}, phase: "test", step: "write", note: String(i) });`;
+  const child = spawn(process.execPath, ["--input-type=module", "-e", code], { env: { ...process.env, NSTAR_TRACE: ledger }, stdio: ["ignore", "ignore", "pipe"] });
+  let stderr = "";
+  child.stderr.on("data", d => stderr += d);
+  return new Promise(resolve => child.on("close", code => resolve({ code, stderr })));
+}
+
+async function verify(ledger) {
+  const code = `const { verifyTrace } = await import(${JSON.stringify(LEDGER_URL)}); console.log(JSON.stringify(verifyTrace()));`;
+  const res = spawnSync(process.execPath, ["--input-type=module", "-e", code], { env: { ...process.env, NSTAR_TRACE: ledger }, encoding: "utf8" });
+  return JSON.parse(res.stdout);
+}
+
+test("concurrent writers never interleave", async () => {
+  const ledger = path.join(dir, "concurrent.jsonl");
+  const results = await Promise.all([1, 2, 3, 4].map(w => writer(ledger, `w${w}`, 40)));
+  for (const r of results) assert.equal(r.code, 0, r.stderr);
+  const res = await verify(ledger);
+  assert.equal(res.ok, true, JSON.stringify(res.first_break));
+  assert.equal(res.chained, 160);
+});
+
+test("a lock left by an exited process on this host is taken over", async () => {
+  const ledger = path.join(dir, "dead.jsonl");
+  const dead = spawnSync(process.execPath, ["-e", ""]).pid;
+  fs.writeFileSync(`${ledger}.lock`, `${dead}\n${os.hostname()}\nold\n`);
+  const r = await writer(ledger, "after-dead", 3);
+  assert.equal(r.code, 0, r.stderr);
+  assert.equal(fs.existsSync(`${ledger}.lock`), false);
+  assert.equal((await verify(ledger)).chained, 3);
+});
+
+test("a live holder on this host keeps its lock however old it is", async () => {
+  const ledger = path.join(dir, "live.jsonl");
+  const holder = spawn("sleep", ["30"], { stdio: "ignore" });
+  const lock = `${ledger}.lock`;
+  const text = `${holder.pid}\n${os.hostname()}\nlive\n`;
+  fs.writeFileSync(lock, text);
+  const old = new Date(Date.now() - 120e3);
+  fs.utimesSync(lock, old, old);
+  try {
+    const done = writer(ledger, "waiting", 1);
+    await new Promise(r => setTimeout(r, 1000));
+    assert.equal(fs.readFileSync(lock, "utf8"), text);
+    assert.equal(fs.existsSync(ledger) ? fs.readFileSync(ledger, "utf8") : "", "");
+    fs.rmSync(lock);
+    const r = await done;
+    assert.equal(r.code, 0, r.stderr);
+    assert.equal((await verify(ledger)).chained, 1);
+  } finally {
+    holder.kill();
+  }
+});
@@ -0,0 +1,93 @@
+// OTLP export: span building from TRACE rows, and delivery to a local collector stub and a file.
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import http from "http";
+import { createSpanBuilder, createSpanSink, exportSpans, createLiveExporter, traceIdOf } from "../lib/otel.mjs";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "nstar-otel-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const row = (seq, phase, step, extra = {}, ok = true) =>
+  ({ schema: 1, seq, ts: new Date(Date.UTC(2026, 0, 1, 0, 0, seq)).toISOString(), run_id: "r1", step_index: 0, phase, step, ok, extra });
+const ROWS = [
+  { ...row(0, "plan", "start", { mode: "safe" }), note: "tidy" },
+  row(1, "cost", "spend", { gbp: 0.25 }),
+  row(2, "gate", "gamma", { gamma: 0.35, threshold: 0.6 }, false),
+  { ...row(3, "done", "end", { decision: "INTENT", steps: 1 }), note: "chain_max" }
+];
+const attr = (span, key) => {
+  const v = span.attributes.find(a => a.key === key)?.value;
+  return v && (v.stringValue ?? v.doubleValue ?? v.boolValue ?? Number(v.intValue));
+};
+
+test("one child span per row and a root span at done/end, with deterministic ids", () => {
+  const spans = ROWS.flatMap(createSpanBuilder());
+  assert.equal(spans.length, 5);
+  const root = spans.at(-1);
+  assert.equal(root.name, "nstar run: tidy");
+  assert.equal(attr(root, "nstar.decision"), "INTENT");
+  assert.equal(attr(root, "nstar.gamma"), 0.35);
+  assert.equal(attr(root, "nstar.cost_gbp"), 0.25);
+  for (const s of spans) assert.equal(s.traceId, traceIdOf("r1"));
+  for (const s of spans.slice(0, -1)) assert.equal(s.parentSpanId, root.spanId);
+  const gate = spans.find(s => s.name === "gate/gamma");
+  assert.equal(gate.status.code, 2);
+  assert.equal(gate.startTimeUnixNano, spans[1].endTimeUnixNano);
+  assert.deepEqual(ROWS.flatMap(createSpanBuilder()).map(s => s.spanId), spans.map(s => s.spanId));
+});
+
+test("exportSpans posts OTLP/JSON to the collector and appends to the file", async () => {
+  const bodies = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", c => body += c);
+    req.on("end", () => {
+      bodies.push({ url: req.url, header: req.headers["x-team"], body: JSON.parse(body) });
+      res.writeHead(200).end("{}");
+    });
+  });
+  await new Promise(r => server.listen(0, "127.0.0.1", r));
+  try {
+    const file = path.join(dir, "spans.jsonl");
+    const sink = createSpanSink({ endpoint: `http://127.0.0.1:${server.address().port}`, file, headers: { "x-team": "nstar" } });
+    const res = await exportSpans(ROWS, sink, { batch: 3 });
+    assert.deepEqual(res, { rows: 4, spans: 5, runs: 1 });
+    assert.deepEqual(bodies.map(b => b.url), ["/v1/traces", "/v1/traces"]);
+    assert.equal(bodies[0].header, "nstar");
+    const resource = bodies[0].body.resourceSpans[0];
+    assert.equal(resource.resource.attributes[0].value.stringValue, "nstar");
+    assert.equal(resource.scopeSpans[0].spans.length, 3);
+    assert.equal(fs.readFileSync(file, "utf8").trim().split("\n").length, 2);
+  } finally {
+    server.close();
+  }
+});
+
+test("the collector's errors surface", async () => {
+  const server = http.createServer((req, res) => { req.resume(); req.on("end", () => res.writeHead(503).end("busy")); });
+  await new Promise(r => server.listen(0, "127.0.0.1", r));
+  try {
+    const sink = createSpanSink({ endpoint: `http://127.0.0.1:${server.address().port}/v1/traces` });
+    await assert.rejects(exportSpans(ROWS, sink), /OTLP collector error 503: busy/);
+  } finally {
+    server.close();
+  }
+});
+
+test("the live exporter sends each row once", async () => {
+  const sent = [];
+  const live = createLiveExporter({ send: async (spans) => { sent.push(...spans); } });
+  live.start(null);
+  assert.equal(await live.push(ROWS.slice(0, 2)), 2);
+  assert.equal(await live.push(ROWS), 3);
+  assert.equal(await live.push(ROWS), 0);
+  assert.equal(live.lastSeq, 3);
+  assert.equal(new Set(sent.map(s => s.spanId)).size, 5);
+});
+
+test("a sink needs an endpoint or a file", () => {
+  assert.throws(() => createSpanSink({}), /no OTLP sink/);
+});
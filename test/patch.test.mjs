@@ -0,0 +1,119 @@
+// Begin/End Patch blocks converted with toUnified must apply with plain `git apply` and produce the intended file.
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { execFileSync } from "child_process";
+import { parsePatch, toUnified, patchFiles } from "../lib/patch.mjs";
+
+const dirs = [];
+after(() => dirs.forEach(d => fs.rmSync(d, { recursive: true, force: true })));
+
+function repo(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "nstar-patch-"));
+  dirs.push(dir);
+  execFileSync("git", ["init", "-q"], { cwd: dir });
+  for (const [p, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, p)), { recursive: true });
+    fs.writeFileSync(path.join(dir, p), content);
+  }
+  return dir;
+}
+
+// Convert, check and apply; returns the repo so callers can read the result
+function apply(files, block) {
+  const dir = repo(files);
+  const diff = toUnified(block, { cwd: dir });
+  const file = path.join(dir, ".nstar.diff");
+  fs.writeFileSync(file, diff);
+  try {
+    execFileSync("git", ["apply", "--check", file], { cwd: dir, stdio: "pipe" });
+    execFileSync("git", ["apply", file], { cwd: dir, stdio: "pipe" });
+  } catch (e) {
+    throw new Error(`git apply rejected:\n${diff}\n${e.stderr}`);
+  } finally {
+    fs.rmSync(file);
+  }
+  return dir;
+}
+const read = (dir, p) => fs.readFileSync(path.join(dir, p), "utf8");
+const patch = (...body) => ["*** Begin Patch", ...body, "*** End Patch", ""].join("\n");
+const SIX = "one\ntwo\nthree\nfour\nfive\nsix\n";
+
+test("context-free replace gets real context", () => {
+  const dir = apply({ "a.txt": SIX }, patch("*** Update File: a.txt", "@@", "-four", "+FOUR"));
+  assert.equal(read(dir, "a.txt"), "one\ntwo\nthree\nFOUR\nfive\nsix\n");
+});
+
+test("context-free edit of the first line", () => {
+  const dir = apply({ "a.txt": SIX }, patch("*** Update File: a.txt", "@@", "-one", "+ONE"));
+  assert.equal(read(dir, "a.txt"), "ONE\ntwo\nthree\nfour\nfive\nsix\n");
+});
+
+test("two context-free hunks in one file", () => {
+  const dir = apply({ "a.txt": SIX }, patch("*** Update File: a.txt", "@@", "-two", "+TWO", "@@", "-five", "+FIVE"));
+  assert.equal(read(dir, "a.txt"), "one\nTWO\nthree\nfour\nFIVE\nsix\n");
+});
+
+test("hunks far apart stay separate", () => {
+  const long = Array.from({ length: 20 }, (_, i) => `l${i}`).join("\n") + "\n";
+  const dir = apply({ "a.txt": long }, patch("*** Update File: a.txt", "@@", "-l1", "+L1", "@@", "-l18", "+L18"));
+  assert.equal(read(dir, "a.txt"), long.replace("l1\n", "L1\n").replace("l18\n", "L18\n"));
+});
+
+test("hunk with its own context and an @@ header", () => {
+  const dir = apply({ "a.js": "function a() {\n  return 1;\n}\nfunction b() {\n  return 1;\n}\n" },
+    patch("*** Update File: a.js", "@@ function b() {", "-  return 1;", "+  return 2;", " }"));
+  assert.equal(read(dir, "a.js"), "function a() {\n  return 1;\n}\nfunction b() {\n  return 2;\n}\n");
+});
+
+test("pure insertion appends at end of file", () => {
+  const dir = apply({ "a.txt": SIX }, patch("*** Update File: a.txt", "@@", "+seven"));
+  assert.equal(read(dir, "a.txt"), SIX + "seven\n");
+});
+
+test("appending to a file without a trailing newline", () => {
+  const dir = apply({ "a.txt": "one\ntwo" }, patch("*** Update File: a.txt", "@@", "+three"));
+  assert.equal(read(dir, "a.txt"), "one\ntwo\nthree\n");
+});
+
+test("editing above a last line without newline keeps it", () => {
+  const dir = apply({ "a.txt": "one\ntwo\nthree" }, patch("*** Update File: a.txt", "@@", "-one", "+ONE"));
+  assert.equal(read(dir, "a.txt"), "ONE\ntwo\nthree");
+});
+
+test("rewriting a last line without newline", () => {
+  const dir = apply({ "a.txt": "one\ntwo" }, patch("*** Update File: a.txt", "@@", "-two", "+TWO", "*** End of File"));
+  assert.equal(read(dir, "a.txt"), "one\nTWO\n");
+});
+
+test("add, delete and move", () => {
+  const dir = apply({ "old.txt": SIX, "gone.txt": "bye\n" }, patch(
+    "*** Add File: new/q.txt", "+hello", "+world",
+    "*** Delete File: gone.txt",
+    "*** Update File: old.txt", "*** Move to: moved.txt", "@@", "-three", "+THREE"));
+  assert.equal(read(dir, "new/q.txt"), "hello\nworld\n");
+  assert.equal(fs.existsSync(path.join(dir, "gone.txt")), false);
+  assert.equal(fs.existsSync(path.join(dir, "old.txt")), false);
+  assert.equal(read(dir, "moved.txt"), SIX.replace("three", "THREE"));
+});
+
+test("parse round-trip lists ops and touched files", () => {
+  const block = patch("*** Add File: q", "+x", "*** Update File: a", "*** Move to: b", "@@", "-1", "+2");
+  assert.deepEqual(parsePatch(block).map(op => op.type), ["add", "update"]);
+  assert.deepEqual(patchFiles(block), ["q", "a", "b"]);
+});
+
+test("plain unified diffs pass through", () => {
+  const diff = "--- a/a.txt\n+++ b/a.txt\n@@ -1,1 +1,1 @@\n-x\n+y\n";
+  assert.equal(toUnified(diff), diff);
+});
+
+test("precise parse errors", () => {
+  assert.throws(() => parsePatch("*** Begin Patch\n*** Add File: q\n+x\n"), /patch line 3: missing "\*\*\* End Patch"/);
+  assert.throws(() => parsePatch(patch("*** Add File: q", "x")), /patch line 3: Add File lines must start with "\+"/);
+  assert.throws(() => parsePatch(patch("*** Update File: a", "-x")), /patch line 3: expected "@@" hunk header/);
+  assert.throws(() => parsePatch(patch("*** Add File: ../x", "+x")), /path must be repo-relative/);
+  assert.throws(() => toUnified(patch("*** Update File: a.txt", "@@", "-nope", "+x"), { cwd: repo({ "a.txt": SIX }) }), /hunk context not found/);
+});
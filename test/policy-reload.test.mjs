@@ -0,0 +1,80 @@
+// Policy reload in a throwaway repo: valid files swap in together, an invalid set keeps the last good one.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "nstar-policy-"));
+const gammaFile = path.join(dir, "policy", "gamma.json"), costFile = path.join(dir, "policy", "cost.json");
+const gamma = (fast) => ({ weights: { tests_pass: 1 }, thresholds: { fast }, diff_budget: { files: 3, lines: 50 } });
+const write = (file, cfg) => fs.writeFileSync(file, typeof cfg === "string" ? cfg : JSON.stringify(cfg));
+let policy;
+
+before(async () => {
+  fs.mkdirSync(path.join(dir, "policy"));
+  write(gammaFile, gamma(0.5));
+  write(costFile, { per_run_gbp: 3, per_day_gbp: 25 });
+  process.env.NSTAR_TRACE = path.join(dir, "TRACE.jsonl");
+  // policy.mjs reads policy/*.json from the directory it is loaded in
+  process.chdir(dir);
+  policy = await import("../lib/policy.mjs");
+});
+after(() => {
+  process.chdir(os.tmpdir());
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("the files on disk are active at load, with DEFAULTS for the missing one", () => {
+  assert.equal(policy.gammaCfg.thresholds.fast, 0.5);
+  assert.equal(policy.costCfg.per_run_gbp, 3);
+  assert.deepEqual(policy.pricingCfg, policy.DEFAULTS.pricing);
+  assert.match(policy.policyVersion().version, /^[0-9a-f]{12}$/);
+  assert.deepEqual(policy.policyVersion().errors, []);
+});
+
+test("an unchanged reload reports no change", () => {
+  const { version } = policy.policyVersion();
+  assert.deepEqual(policy.reloadPolicy(), { ok: true, version, previous: version, changed: false });
+});
+
+test("a valid edit swaps in the new set", () => {
+  const before = policy.policyVersion().version;
+  write(gammaFile, gamma(0.7));
+  write(costFile, { per_run_gbp: 2, per_day_gbp: 20 });
+  const res = policy.reloadPolicy();
+  assert.equal(res.ok, true);
+  assert.equal(res.changed, true);
+  assert.equal(res.previous, before);
+  assert.notEqual(res.version, before);
+  assert.equal(policy.gammaCfg.thresholds.fast, 0.7);
+  assert.equal(policy.costCfg.per_run_gbp, 2);
+});
+
+test("an invalid file keeps the last good set, including the files that were valid", () => {
+  const good = policy.policyVersion().version;
+  write(costFile, { per_run_gbp: 1, per_day_gbp: 5 });
+  write(gammaFile, { ...gamma(0.9), thresholds: { safe: 0.9 } });
+  const res = policy.reloadPolicy();
+  assert.equal(res.ok, false);
+  assert.equal(res.version, good);
+  assert.notEqual(res.rejected, good);
+  assert.match(res.errors.join("\n"), /^policy\/gamma\.json: /);
+  assert.equal(policy.gammaCfg.thresholds.fast, 0.7);
+  assert.equal(policy.costCfg.per_run_gbp, 2);
+  assert.equal(policy.policyVersion().version, good);
+  assert.equal(policy.policyVersion().rejected.version, res.rejected);
+
+  write(gammaFile, "{ not json");
+  assert.match(policy.reloadPolicy().errors[0], /^policy\/gamma\.json: .*JSON/);
+  assert.equal(policy.gammaCfg.thresholds.fast, 0.7);
+
+  // Fixing the file lets the whole set through
+  write(gammaFile, gamma(0.8));
+  const fixed = policy.reloadPolicy();
+  assert.equal(fixed.ok, true);
+  assert.equal(fixed.previous, good);
+  assert.equal(policy.gammaCfg.thresholds.fast, 0.8);
+  assert.equal(policy.costCfg.per_run_gbp, 1);
+  assert.equal(policy.policyVersion().rejected, undefined);
+});
@@ -0,0 +1,110 @@
+// Gate arithmetic in lib/policy.mjs, with explicit configs so policy/*.json edits don't change the results.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { costGate, gammaScore, validatePolicy, normalizeSignal, resolvePolicy, DEFAULTS } from "../lib/policy.mjs";
+
+const caps = { per_run_gbp: 30, per_day_gbp: 35 };
+
+test("costGate counts a run's recorded spend once against the daily cap", () => {
+  // Two £10 steps already recorded: they are in spentToday and in runSpent
+  const third = costGate(0, 20, caps, 20);
+  assert.equal(third.day_ok, true);
+  assert.equal(third.run_ok, true);
+  assert.equal(costGate(10, 20, caps, 20).ok, true);
+  assert.equal(costGate(16, 20, caps, 20).day_ok, false);
+});
+
+test("costGate holds the per-run cap across steps", () => {
+  const gate = costGate(11, 20, caps, 20);
+  assert.equal(gate.run_ok, false);
+  assert.equal(gate.day_ok, true);
+  assert.equal(gate.ok, false);
+});
+
+test("built-in defaults are valid policy files", () => {
+  for (const [name, cfg] of Object.entries(DEFAULTS)) assert.deepEqual(validatePolicy(name, cfg), [], name);
+});
+
+test("safe mode vetoes failing tests even when γ reaches the threshold", () => {
+  const evidence = { tests_pass: 0, retrieval_cited: 1, cost_ok: 1, diff_tiny: 1 };
+  const { gamma, threshold, pass, reasons } = gammaScore(evidence, DEFAULTS.gamma, { mode: "safe" });
+  assert.equal(gamma >= threshold, true);
+  assert.equal(pass, false);
+  assert.deepEqual(reasons, ["veto tests_must_pass: tests_pass 0 < 1"]);
+});
+
+test("normalizers map raw evidence onto 0..1", () => {
+  const cfg = { signals: {
+    passed: { normalize: "bool" },
+    ratio: { normalize: "ratio" },
+    cited: { normalize: "step", min: 2 },
+    coverage: { normalize: "linear", min: -5, max: 5, default: 0.5 },
+    size: { from: "diff_lines", normalize: "budget", budget: 50 }
+  } };
+  const cases = [
+    ["passed", { passed: true }, 1], ["passed", { passed: 0 }, 0],
+    ["ratio", { ratio: 0.75 }, 0.75], ["ratio", { ratio: 3 }, 1], ["ratio", { ratio: -1 }, 0],
+    ["cited", { cited: 2 }, 1], ["cited", { cited: 1 }, 0],
+    ["coverage", { coverage: 0 }, 0.5], ["coverage", { coverage: 2.5 }, 0.75], ["coverage", { coverage: -9 }, 0], ["coverage", {}, 0.5],
+    ["size", { diff_lines: 10 }, 0.8], ["size", { diff_lines: 80 }, 0], ["size", { size: 10 }, 0],
+    ["undeclared", { undeclared: 0.4 }, 0.4], ["undeclared", { undeclared: "n/a" }, 0]
+  ];
+  for (const [name, e, want] of cases) assert.equal(normalizeSignal(name, e, cfg), want, `${name} ${JSON.stringify(e)}`);
+  assert.throws(() => normalizeSignal("x", { x: 1 }, { signals: { x: { normalize: "log" } } }), /unknown normalize "log"/);
+});
+
+test("γ sums weight × normalized signal, with each signal's working", () => {
+  const cfg = { weights: { tests_pass: 0.5, size: 0.5 }, signals: { size: { from: "diff_lines", normalize: "budget", budget: 40 } },
+                thresholds: { fast: 0.7 }, diff_budget: { files: 3, lines: 50 } };
+  const res = gammaScore({ tests_pass: 1, diff_lines: 30 }, cfg);
+  assert.equal(res.gamma, 0.625);
+  assert.equal(res.pass, false);
+  assert.deepEqual(res.signals[1], { signal: "size", raw: 30, normalized: 0.25, weight: 0.5, contribution: 0.125 });
+  assert.deepEqual(res.reasons, ["γ 0.625 < 0.7 (fast)"]);
+});
+
+test("resolvePolicy: overrides for touched paths apply and the strictest wins", () => {
+  const gamma = {
+    weights: { tests_pass: 0.5, cost_ok: 0.5 },
+    thresholds: { safe: 0.6, fast: 0.5 },
+    diff_budget: { files: 3, lines: 50 },
+    overrides: [
+      { name: "lib", paths: ["lib/**"], thresholds: { fast: 0.7, safe: 0.5 }, weights: { tests_pass: 0.8 }, diff_budget: { lines: 20 }, cost: { per_run_gbp: 2 } },
+      { name: "auth", paths: ["lib/auth/**"], thresholds: { fast: 0.65, cheap: 0.3 }, weights: { tests_pass: 0.9, coverage_delta: 0.1 }, diff_budget: { lines: 30, files: 1 }, cost: { per_run_gbp: 5, per_day_gbp: 10 }, intent_only: true },
+      { paths: ["docs/**"], thresholds: { fast: 0.1 } }
+    ]
+  };
+  const cost = { per_run_gbp: 3, per_day_gbp: 25 };
+
+  const none = resolvePolicy(["README.md"], { gamma, cost });
+  assert.deepEqual(none.overrides, []);
+  assert.deepEqual(none.gamma.thresholds, gamma.thresholds);
+  assert.deepEqual(none.cost, cost);
+  assert.equal(none.intent_only, false);
+
+  const both = resolvePolicy(["lib/auth/token.mjs", "README.md"], { gamma, cost });
+  assert.deepEqual(both.overrides, ["lib", "auth"]);
+  assert.deepEqual(both.gamma.thresholds, { safe: 0.6, fast: 0.7, cheap: 0.3 });
+  assert.deepEqual(both.gamma.weights, { tests_pass: 0.9, cost_ok: 0.5, coverage_delta: 0.1 });
+  assert.deepEqual(both.gamma.diff_budget, { files: 1, lines: 20 });
+  assert.deepEqual(both.cost, { per_run_gbp: 2, per_day_gbp: 10 });
+  assert.equal(both.intent_only, true);
+
+  // A looser override never relaxes the base policy, and unnamed overrides are listed by their paths
+  const docs = resolvePolicy(["docs/a.md"], { gamma, cost });
+  assert.deepEqual(docs.overrides, ["docs/**"]);
+  assert.equal(docs.gamma.thresholds.fast, 0.5);
+
+  // The caller's configs are left as they were
+  assert.deepEqual(gamma.thresholds, { safe: 0.6, fast: 0.5 });
+  assert.deepEqual(cost, { per_run_gbp: 3, per_day_gbp: 25 });
+});
+
+test("validatePolicy reports schema and semantic problems", () => {
+  const base = { weights: { tests_pass: 1 }, thresholds: { fast: 0.5 }, diff_budget: { files: 3, lines: 50 } };
+  assert.deepEqual(validatePolicy("gamma", { ...base, signals: { c: { normalize: "linear", min: 5, max: 5 }, s: { normalize: "budget", budget: 0 } } }),
+    ["signals.c: linear needs max > min", "signals.s: budget needs budget > 0"]);
+  assert.deepEqual(validatePolicy("gamma", { ...base, vetoes: { safe: [{ rule: "empty" }] } }), ["vetoes.safe[0]: needs signal or paths"]);
+  assert.notDeepEqual(validatePolicy("gamma", { ...base, thresholds: { safe: 0.5 } }), []);
+  assert.notDeepEqual(validatePolicy("cost", { per_run_gbp: "3" }), []);
+});
@@ -0,0 +1,71 @@
+// Kernel providers: replay lookup order, the OpenAI-compatible client against a local mock, patch extraction.
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import http from "http";
+import crypto from "crypto";
+import { createProvider, extractPatch } from "../lib/provider.mjs";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "nstar-provider-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+const PATCH = (note) => `*** Begin Patch\n*** Update File: README.md\n@@\n+${note}\n*** End Patch\n`;
+const keyOf = (goal) => crypto.createHash("sha1").update(goal).digest("hex").slice(0, 12);
+
+test("replay prefers the step patch, then the goal patch, then default.patch", async () => {
+  const replay = createProvider("replay", { dir });
+  const goal = "tidy readme";
+  fs.writeFileSync(path.join(dir, "default.patch"), PATCH("default"));
+  assert.equal((await replay.generate({ plan: { goal, step_index: 1 } })).patch, PATCH("default"));
+  fs.writeFileSync(path.join(dir, `${keyOf(goal)}.patch`), PATCH("goal"));
+  assert.equal((await replay.generate({ plan: { goal, step_index: 1 } })).patch, PATCH("goal"));
+  fs.writeFileSync(path.join(dir, `${keyOf(goal)}.1.patch`), "noise before\n" + PATCH("step 1") + "noise after\n");
+  const step = await replay.generate({ plan: { goal, step_index: 1 } });
+  assert.equal(step.patch, PATCH("step 1"));
+  assert.equal(step.model, "replay");
+  assert.equal((await replay.generate({ plan: { goal, step_index: 0 } })).patch, PATCH("goal"));
+});
+
+test("replay falls back to a built-in patch", async () => {
+  const { patch, source } = await createProvider("replay", { dir: path.join(dir, "missing") }).generate({ plan: { goal: "x" } });
+  assert.equal(source, "builtin");
+  assert.match(patch, /^\*\*\* Begin Patch\n/);
+});
+
+test("openai posts the plan and returns the patch with usage", async () => {
+  let seen;
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", c => body += c);
+    req.on("end", () => {
+      seen = { url: req.url, auth: req.headers.authorization, body: JSON.parse(body) };
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ model: "mock-1", usage: { prompt_tokens: 10, completion_tokens: 5 },
+                               choices: [{ message: { content: "Here you go:\n" + PATCH("from model") } }] }));
+    });
+  });
+  await new Promise(r => server.listen(0, "127.0.0.1", r));
+  try {
+    const provider = createProvider("openai", { apiKey: "k", model: "mock-1", baseURL: `http://127.0.0.1:${server.address().port}/v1` });
+    const out = await provider.generate({ plan: { goal: "tidy" }, context: [] });
+    assert.equal(out.patch, PATCH("from model"));
+    assert.equal(out.model, "mock-1");
+    assert.deepEqual(out.usage, { prompt_tokens: 10, completion_tokens: 5 });
+    assert.equal(seen.url, "/v1/chat/completions");
+    assert.equal(seen.auth, "Bearer k");
+    assert.match(seen.body.messages[1].content, /"goal": "tidy"/);
+  } finally {
+    server.close();
+  }
+});
+
+test("extractPatch accepts fenced unified diffs and rejects prose", () => {
+  const diff = "--- a/x\n+++ b/x\n@@ -1 +1 @@\n-a\n+b\n";
+  assert.equal(extractPatch("```diff\n" + diff + "```"), diff);
+  assert.throws(() => extractPatch("I could not find anything to change."), /no patch block/);
+});
+
+test("unknown providers are rejected", () => {
+  assert.throws(() => createProvider("carrier-pigeon"), /unknown provider: carrier-pigeon/);
+});
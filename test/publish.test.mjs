@@ -0,0 +1,95 @@
+// Intent publishers against a throwaway repo: a bare "origin" and a local mock of the GitHub pulls API.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import http from "http";
+import { execFileSync } from "child_process";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "nstar-publish-"));
+const work = path.join(dir, "work"), bare = path.join(dir, "o", "r.git");
+const git = (cwd, ...args) => execFileSync("git", args, { cwd, encoding: "utf8" }).trim();
+const requests = [];
+let server, status = 201, createPublisher;
+
+before(async () => {
+  fs.mkdirSync(work, { recursive: true });
+  fs.mkdirSync(bare, { recursive: true });
+  git(bare, "init", "-q", "--bare");
+  git(work, "init", "-q", "-b", "main");
+  git(work, "config", "user.email", "nstar@example.com");
+  git(work, "config", "user.name", "nstar");
+  fs.writeFileSync(path.join(work, "README.md"), "hello\n");
+  git(work, "add", "-A");
+  git(work, "commit", "-qm", "init");
+  git(work, "remote", "add", "origin", bare);
+  git(work, "push", "-q", "origin", "main");
+  git(work, "checkout", "-qb", "pipe/1");
+  fs.writeFileSync(path.join(work, "README.md"), "hello\nworld\n");
+  git(work, "commit", "-qam", "chore: tidy");
+  git(work, "checkout", "-q", "main");
+
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", c => body += c);
+    req.on("end", () => {
+      requests.push({ method: req.method, url: req.url, auth: req.headers.authorization, body: JSON.parse(body || "{}") });
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(status === 201 ? { number: 7, html_url: "https://github.example/o/r/pull/7" } : { message: "Validation Failed" }));
+    });
+  });
+  await new Promise(r => server.listen(0, "127.0.0.1", r));
+  process.env.GITHUB_API_URL = `http://127.0.0.1:${server.address().port}`;
+  process.env.GITHUB_TOKEN = "t0ken";
+  delete process.env.GITHUB_REPOSITORY;
+  delete process.env.NSTAR_GIT_REMOTE;
+  delete process.env.NSTAR_BASE_BRANCH;
+  // publish.mjs works in the repo it is loaded from
+  process.chdir(work);
+  ({ createPublisher } = await import("../lib/publish.mjs"));
+});
+
+after(() => {
+  server?.close();
+  process.chdir(os.tmpdir());
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const intent = () => ({ title: "chore: tidy (γ=0.42)", body: "Auto PR intent", branch: "pipe/1", commit: git(work, "rev-parse", "pipe/1") });
+
+test("github pushes the branch and opens a pull request", async () => {
+  const published = await createPublisher("github").publish(intent());
+  assert.deepEqual(published, { url: "https://github.example/o/r/pull/7", number: 7 });
+  assert.equal(git(bare, "rev-parse", "refs/heads/pipe/1"), intent().commit);
+  const req = requests.at(-1);
+  assert.equal(req.method, "POST");
+  assert.equal(req.url, "/repos/o/r/pulls");
+  assert.equal(req.auth, "Bearer t0ken");
+  assert.deepEqual(req.body, { title: "chore: tidy (γ=0.42)", body: "Auto PR intent", head: "pipe/1", base: "main" });
+});
+
+test("github reports API errors", async () => {
+  status = 422;
+  try {
+    await assert.rejects(createPublisher("github").publish(intent()), /GitHub API error 422: .*Validation Failed/);
+  } finally {
+    status = 201;
+  }
+});
+
+test("github reports a failed push", async () => {
+  await assert.rejects(createPublisher("github", { remote: "nowhere" }).publish(intent()), /git push nowhere/);
+});
+
+test("patch-email writes a format-patch series", async () => {
+  const outDir = path.join(dir, "outbox");
+  const published = await createPublisher("patch-email", { outDir }).publish(intent());
+  assert.equal(published.files, 1);
+  const [file] = fs.readdirSync(path.join(outDir, "pipe-1"));
+  assert.match(fs.readFileSync(path.join(outDir, "pipe-1", file), "utf8"), /Subject: \[PATCH\] chore: tidy/);
+});
+
+test("unknown publishers are rejected", () => {
+  assert.throws(() => createPublisher("carrier-pigeon"), /unknown publisher: carrier-pigeon/);
+});
@@ -0,0 +1,94 @@
+// TRACE queries over a fixed set of rows: filters, cursor paging both ways, and grouped pass rates/durations.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { queryTrace, parseTime } from "../lib/query.mjs";
+
+const at = (s) => new Date(Date.UTC(2026, 0, 1) + s * 1000).toISOString();
+const row = (seq, s, run_id, phase, step, ok = true, extra = {}) => ({ ...(seq === null ? {} : { seq }), ts: at(s), run_id, phase, step, ok, extra, note: `${phase}/${step}` });
+// Two pre-chain rows, then two runs (safe, fast) of chained rows
+const ROWS = [
+  row(null, 0, "old", "legacy", "a"),
+  row(null, 1, "old", "legacy", "b", false),
+  row(0, 10, "r1", "plan", "start", true, { mode: "safe" }),
+  row(1, 12, "r1", "gate", "gamma", false),
+  row(2, 13, "r2", "plan", "start", true, { mode: "fast" }),
+  row(3, 16, "r1", "gate", "gamma", true),
+  row(4, 17, "r2", "gate", "gamma", true),
+  row(5, 20, "r1", "done", "end"),
+  row(6, 27, "r2", "done", "end")
+];
+const q = (query) => queryTrace(query, { rows: ROWS });
+const names = (rows) => rows.map(r => `${r.run_id}:${r.seq ?? "-"}`);
+
+// Every page in order, following next_cursor
+function pages(query) {
+  const out = [];
+  let cursor;
+  do {
+    const res = q({ ...query, ...(cursor ? { cursor } : {}) });
+    out.push(names(res.rows));
+    cursor = res.next_cursor;
+  } while (cursor);
+  return out;
+}
+
+test("from=latest pages back from the newest match, oldest first within a page", () => {
+  assert.deepEqual(pages({ limit: 4 }), [
+    ["r1:3", "r2:4", "r1:5", "r2:6"],
+    ["old:-", "r1:0", "r1:1", "r2:2"],
+    ["old:-"]
+  ]);
+});
+
+test("from=earliest pages forward from the oldest, pre-chain rows first", () => {
+  assert.deepEqual(pages({ limit: 4, from: "earliest" }), [
+    ["old:-", "old:-", "r1:0", "r1:1"],
+    ["r2:2", "r1:3", "r2:4", "r1:5"],
+    ["r2:6"]
+  ]);
+});
+
+test("paging with filters keeps to the matches", () => {
+  assert.deepEqual(pages({ phase: "gate", limit: 2 }), [["r1:3", "r2:4"], ["r1:1"]]);
+  assert.equal(q({ phase: "gate", limit: 2 }).matched, 3);
+});
+
+test("cursors are tied to their direction", () => {
+  const { next_cursor } = q({ limit: 2 });
+  assert.throws(() => q({ limit: 2, from: "earliest", cursor: next_cursor }), /different `from`/);
+  assert.throws(() => q({ cursor: "not-a-cursor" }), /invalid cursor/);
+  assert.throws(() => q({ from: "middle" }), /invalid from/);
+});
+
+test("filters: run_id, ok, mode, note and time", () => {
+  assert.deepEqual(names(q({ run_id: "r2" }).rows), ["r2:2", "r2:4", "r2:6"]);
+  assert.deepEqual(names(q({ ok: "false" }).rows), ["old:-", "r1:1"]);
+  assert.deepEqual(names(q({ mode: "safe", phase: "gate" }).rows), ["r1:1", "r1:3"]);
+  assert.deepEqual(names(q({ note: "DONE/" }).rows), ["r1:5", "r2:6"]);
+  assert.deepEqual(names(q({ since: at(16), until: at(20) }).rows), ["r1:3", "r2:4", "r1:5"]);
+  assert.throws(() => q({ ok: "maybe" }), /invalid ok/);
+});
+
+test("group_by phase: counts, pass rate and durations since the run's previous row", () => {
+  const res = q({ group_by: "phase" });
+  assert.equal(res.matched, 9);
+  const gate = res.groups.find(g => g.key.phase === "gate");
+  assert.deepEqual(gate, { key: { phase: "gate" }, count: 3, ok: 2, failed: 1, pass_rate: 0.667, duration_ms: { total: 10000, avg: 3333, max: 4000 } });
+  const done = res.groups.find(g => g.key.phase === "done");
+  assert.deepEqual(done.duration_ms, { total: 14000, avg: 7000, max: 10000 });
+  assert.equal(res.groups.find(g => g.key.phase === "plan").duration_ms, null);
+});
+
+test("group_by mode,day", () => {
+  const res = q({ group_by: "mode,day", phase: "gate" });
+  assert.deepEqual(res.groups.map(g => [g.key.mode, g.key.day, g.count, g.pass_rate]),
+    [["fast", "2026-01-01", 1, 1], ["safe", "2026-01-01", 2, 0.5]]);
+});
+
+test("parseTime takes ISO or relative times", () => {
+  const now = Date.UTC(2026, 0, 2);
+  assert.equal(parseTime("24h", now), "2026-01-01T00:00:00.000Z");
+  assert.equal(parseTime("30m", now), "2026-01-01T23:30:00.000Z");
+  assert.equal(parseTime("2026-01-01T12:00:00Z"), "2026-01-01T12:00:00.000Z");
+  assert.throws(() => parseTime("soon"), /invalid time/);
+});
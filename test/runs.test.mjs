@@ -0,0 +1,39 @@
+// Run timelines built from TRACE rows: phases, attempts, duration, and rows written after the run ended.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildTimeline } from "../lib/runs.mjs";
+
+const at = (s) => new Date(Date.UTC(2026, 0, 1) + s * 1000).toISOString();
+const row = (s, phase, step, extra = {}, more = {}) => ({ seq: s, ts: at(s), run_id: "r1", phase, step, ok: true, extra, ...more });
+const RUN = [
+  row(0, "plan", "start", { mode: "safe" }, { note: "tidy" }),
+  row(1, "patch", "apply", { branch: "nstar/run-r1-0", commit: "abc" }, { step_index: 0 }),
+  row(3, "test", "run", {}, { step_index: 0, note: "1/2 passed" }),
+  row(4, "gate", "gamma", { gamma: 0.35, threshold: 0.6 }, { step_index: 0, ok: false, note: "0.35<0.6" }),
+  row(5, "intent", "request_pr", { id: "i1", branch: "pipe/1" }, { note: "chore: tidy" }),
+  row(6, "done", "end", { decision: "INTENT", steps: 1 }, { note: "chain_max" })
+];
+
+test("phases carry their own durations and the run ends at done/end", () => {
+  const run = buildTimeline(RUN);
+  assert.equal(run.duration_ms, 6000);
+  assert.equal(run.decision, "INTENT");
+  assert.deepEqual(run.phases.map(p => `${p.phase}/${p.step} ${p.duration_ms}`),
+    ["plan/start 0", "patch/apply 1000", "test/run 2000", "gate/gamma 1000", "intent/request_pr 1000", "done/end 1000"]);
+  assert.deepEqual(run.attempts[0], { step_index: 0, gamma: 0.35, threshold: 0.6, pass: false, vetoes: [], applied: true, tests: "1/2 passed" });
+  assert.deepEqual(run.later, []);
+});
+
+test("intent rows written after the run are listed separately", () => {
+  const run = buildTimeline([...RUN, row(3600, "intent", "apply", { id: "i1" }, { note: "chore: tidy" }), row(7200, "intent", "drop", { id: "i1" })]);
+  assert.equal(run.duration_ms, 6000);
+  assert.equal(run.ended_at, at(6));
+  assert.equal(run.phases.length, RUN.length);
+  assert.deepEqual(run.later.map(r => `${r.phase}/${r.step} +${r.after_ms}`), ["intent/apply +3594000", "intent/drop +7194000"]);
+});
+
+test("an unfinished run lasts until its last row", () => {
+  const run = buildTimeline(RUN.slice(0, 3));
+  assert.equal(run.status, "incomplete");
+  assert.equal(run.duration_ms, 3000);
+});
@@ -0,0 +1,16 @@
+// Every entry point and module parses: CLIs like nstar-chat start a REPL on import, so check them with --check.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { spawnSync } from "child_process";
+import { fileURLToPath } from "url";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+const files = ["bin", "lib"].flatMap(dir => fs.readdirSync(`${ROOT}${dir}`).filter(f => f.endsWith(".mjs")).map(f => `${dir}/${f}`));
+
+for (const file of files) {
+  test(`${file} parses`, () => {
+    const res = spawnSync(process.execPath, ["--check", `${ROOT}${file}`], { encoding: "utf8" });
+    assert.equal(res.status, 0, res.stderr);
+  });
+}